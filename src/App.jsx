@@ -1,30 +1,91 @@
 import React, { useState, useEffect } from "react";
+import { onAuthStateChanged, signOut } from "firebase/auth";
+import { doc, onSnapshot } from "firebase/firestore";
+import { auth, db } from "./firebase";
+import { adminDocId } from "./utils/roles";
 import Login from "./component/Login";
 import AdminPanel from "./dashboard/AdminPanel";
 
 const App = () => {
-  const [isLoggedIn, setIsLoggedIn] = useState(false);
+  const [user, setUser] = useState(null);
+  const [authLoading, setAuthLoading] = useState(true);
+  const [admin, setAdmin] = useState(null);
+  const [adminLoading, setAdminLoading] = useState(false);
 
-  // Check localStorage on mount
+  // Follow the Firebase Auth session (restored automatically on reload)
   useEffect(() => {
-    const stored = localStorage.getItem("isLoggedIn");
-    if (stored === "true") setIsLoggedIn(true);
+    const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
+      setUser(currentUser);
+      setAdminLoading(!!currentUser);
+      setAuthLoading(false);
+    });
+    return () => unsubscribe();
   }, []);
 
-  const handleLogout = () => {
-    localStorage.removeItem("isLoggedIn");
-    setIsLoggedIn(false);
+  // Load the signed-in user's admin record (role changes apply live)
+  useEffect(() => {
+    if (!user) {
+      setAdmin(null);
+      return;
+    }
+    const unsubscribe = onSnapshot(
+      doc(db, "admins", adminDocId(user.email)),
+      (snapshot) => {
+        setAdmin(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        setAdminLoading(false);
+      },
+      (error) => {
+        console.error("Error loading admin record:", error);
+        setAdmin(null);
+        setAdminLoading(false);
+      }
+    );
+    return () => unsubscribe();
+  }, [user]);
+
+  const handleLogout = async () => {
+    try {
+      await signOut(auth);
+    } catch (error) {
+      console.error("Error signing out:", error);
+    }
   };
 
-  return (
-    <>
-      {isLoggedIn ? (
-        <AdminPanel onLogout={handleLogout} />
-      ) : (
-        <Login onLogin={setIsLoggedIn} />
-      )}
-    </>
-  );
+  if (authLoading || adminLoading) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-screen bg-gray-50">
+        <div className="h-10 w-10 rounded-full border-4 border-blue-200 border-t-blue-600 animate-spin" />
+        <p className="text-sm text-gray-500 mt-4">Checking session...</p>
+      </div>
+    );
+  }
+
+  if (!user) return <Login />;
+
+  // Signed in, but not (or no longer) an admin
+  if (!admin || admin.disabled) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-50">
+        <div className="bg-white p-10 rounded-xl shadow-2xl w-full max-w-sm border border-gray-100 text-center">
+          <span className="text-5xl block mb-4">🔒</span>
+          <h2 className="text-2xl font-extrabold text-gray-900 tracking-tight">
+            Access Denied
+          </h2>
+          <p className="text-sm text-gray-500 mt-2">
+            <strong>{user.email}</strong> is not an admin of this dashboard. Ask an owner to invite you.
+          </p>
+          <button
+            onClick={handleLogout}
+            className="w-full mt-6 bg-red-500 hover:bg-red-600 text-white font-semibold py-2.5 rounded-lg transition-all duration-200 shadow-lg"
+          >
+            Sign Out
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return <AdminPanel admin={admin} onLogout={handleLogout} />;
 };
 
 export default App;
@@ -1,29 +1,51 @@
 import React, { useState } from "react";
+import { signInWithEmailAndPassword } from "firebase/auth";
+import { auth } from "../firebase";
 
-const Login = ({ onLogin }) => {
-  const [username, setUsername] = useState("");
+// Map Firebase Auth error codes to messages safe to show on the login form
+const getAuthErrorMessage = (code) => {
+  switch (code) {
+    case "auth/invalid-email":
+      return "Please enter a valid email address.";
+    case "auth/invalid-credential":
+    case "auth/user-not-found":
+    case "auth/wrong-password":
+      return "Invalid email or password. Please try again.";
+    case "auth/user-disabled":
+      return "This account has been disabled.";
+    case "auth/too-many-requests":
+      return "Too many failed attempts. Please wait a moment and try again.";
+    case "auth/network-request-failed":
+      return "Network error. Check your connection and try again.";
+    default:
+      return "Sign in failed. Please try again.";
+  }
+};
+
+const Login = () => {
+  const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
 
-  // Fixed credentials
-  const FIXED_USERNAME = import.meta.env.VITE_FIXED_USERNAME;
-  const FIXED_PASSWORD = import.meta.env.VITE_FIXED_PASSWORD;
-
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setError(""); // Clear previous errors
 
     // Basic client-side validation check for empty fields
-    if (!username || !password) {
-      setError("Please enter both username and password.");
+    if (!email || !password) {
+      setError("Please enter both email and password.");
       return;
     }
 
-    if (username === FIXED_USERNAME && password === FIXED_PASSWORD) {
-      localStorage.setItem("isLoggedIn", "true"); // persist login
-      onLogin(true);
-    } else {
-      setError("Invalid username or password. Please try again.");
+    setSubmitting(true);
+    try {
+      // App picks up the new session through onAuthStateChanged
+      await signInWithEmailAndPassword(auth, email.trim(), password);
+    } catch (error) {
+      console.error("Error signing in:", error);
+      setError(getAuthErrorMessage(error.code));
+      setSubmitting(false);
     }
   };
 
@@ -49,18 +71,20 @@ const Login = ({ onLogin }) => {
           </div>
         )}
 
-        {/* Username Field */}
+        {/* Email Field */}
         <div className="mb-5">
           <label className="block text-sm font-medium text-gray-700 mb-1">
-            Username
+            Email
           </label>
           <input
-            type="text"
-            value={username}
-            onChange={(e) => setUsername(e.target.value)}
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            disabled={submitting}
+            autoComplete="username"
             // Enhanced input styling for a cleaner look
             className="w-full border border-gray-300 px-4 py-2 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
-            placeholder="Enter username"
+            placeholder="admin@example.com"
             required
             autoFocus
           />
@@ -75,6 +99,8 @@ const Login = ({ onLogin }) => {
             type="password"
             value={password}
             onChange={(e) => setPassword(e.target.value)}
+            disabled={submitting}
+            autoComplete="current-password"
             // Enhanced input styling for a cleaner look
             className="w-full border border-gray-300 px-4 py-2 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
             placeholder="••••••••"
@@ -85,10 +111,11 @@ const Login = ({ onLogin }) => {
         {/* Submit Button */}
         <button
           type="submit"
+          disabled={submitting}
           // Adjusted padding to py-2.5 for better height and visual balance
-          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2.5 rounded-lg transition-all duration-200 shadow-lg hover:shadow-xl focus:outline-none focus:ring-4 focus:ring-blue-500 focus:ring-opacity-50"
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white font-semibold py-2.5 rounded-lg transition-all duration-200 shadow-lg hover:shadow-xl focus:outline-none focus:ring-4 focus:ring-blue-500 focus:ring-opacity-50"
         >
-          Sign In
+          {submitting ? "Signing In..." : "Sign In"}
         </button>
 
         {/* Professional Branding Footer */}
@@ -0,0 +1,243 @@
+import React, { useEffect, useState } from "react";
+import { collection, onSnapshot, doc } from "firebase/firestore";
+import { createUserWithEmailAndPassword, sendPasswordResetEmail, signOut } from "firebase/auth";
+import { db, auth, inviteAuth } from "../firebase";
+import { ROLES, adminDocId, getRoleLabel } from "../utils/roles";
+import { auditedUpdate, auditedWrite } from "../utils/audit";
+
+// Throwaway password for a new invite; the invitee sets their own via the reset email
+const generateTempPassword = () => {
+  const bytes = new Uint8Array(24);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+};
+
+const AdminManagement = ({ darkMode, admin }) => {
+  const [admins, setAdmins] = useState([]);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("reviewer");
+  const [inviting, setInviting] = useState(false);
+  const [error, setError] = useState("");
+
+  // Real-time listener for admin accounts
+  useEffect(() => {
+    const unsubscribe = onSnapshot(collection(db, "admins"), (snapshot) => {
+      const list = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      list.sort((a, b) => a.id.localeCompare(b.id));
+      setAdmins(list);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  const ownerCount = admins.filter((a) => a.role === "owner").length;
+
+  // 🔹 Invite a new admin
+  const handleInvite = async () => {
+    setError("");
+    const id = adminDocId(email);
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(id)) {
+      setError("Enter a valid email address");
+      return;
+    }
+    if (admins.some((a) => a.id === id)) {
+      setError("This email is already an admin");
+      return;
+    }
+
+    setInviting(true);
+    try {
+      // Create the sign-in account on the secondary app; an existing account is reused
+      try {
+        await createUserWithEmailAndPassword(inviteAuth, id, generateTempPassword());
+        await signOut(inviteAuth);
+      } catch (err) {
+        if (err.code !== "auth/email-already-in-use") throw err;
+      }
+
+      await auditedWrite(admin, "admin.invite", [{
+        ref: doc(db, "admins", id),
+        type: "set",
+        label: id,
+        changes: {
+          email: id,
+          role,
+          invitedBy: admin.email,
+          invitedAt: new Date(),
+        },
+      }]);
+
+      // Lets the invitee choose their own password
+      await sendPasswordResetEmail(auth, id);
+
+      setEmail("");
+      setRole("reviewer");
+      alert(`✅ Invitation sent to ${id}`);
+    } catch (err) {
+      console.error("Error inviting admin:", err);
+      setError(err.message);
+    }
+    setInviting(false);
+  };
+
+  // 🔹 Change an admin's role
+  const handleRoleChange = async (id, newRole) => {
+    try {
+      await auditedUpdate(admin, "admin.role", doc(db, "admins", id), { role: newRole }, id);
+    } catch (err) {
+      console.error("Error changing role:", err);
+    }
+  };
+
+  // 🔹 Remove an admin (their sign-in account stays, but loses dashboard access)
+  const handleRemove = async (id) => {
+    if (!window.confirm(`Remove ${id} from the admins?`)) return;
+    try {
+      await auditedWrite(admin, "admin.remove", [{ ref: doc(db, "admins", id), type: "delete", label: id }]);
+    } catch (err) {
+      console.error("Error removing admin:", err);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Invite Section */}
+      <div className={`rounded-xl shadow-md p-6 border transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+        }`}>
+        <h2 className={`text-xl font-bold mb-4 flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"
+          }`}>
+          <span className="text-2xl">🛡️</span>
+          Invite Admin
+        </h2>
+
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            disabled={inviting}
+            placeholder="name@example.com"
+            className={`flex-1 px-4 py-2 rounded-lg border text-sm ${darkMode
+              ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+              : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+              } ${error ? "border-red-500" : ""}`}
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            disabled={inviting}
+            className={`px-3 py-2 rounded-lg border text-sm cursor-pointer ${darkMode
+              ? "bg-gray-700 border-gray-600 text-white"
+              : "bg-white border-gray-300 text-gray-900"
+              }`}
+          >
+            {Object.entries(ROLES).map(([key, r]) => (
+              <option key={key} value={key}>{r.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleInvite}
+            disabled={inviting}
+            className={`px-5 py-2 rounded-lg font-semibold text-sm transition-all shadow-md hover:shadow-lg ${inviting
+              ? "bg-gray-400 cursor-not-allowed text-gray-700"
+              : "bg-blue-600 hover:bg-blue-700 text-white"
+              }`}
+          >
+            {inviting ? "⏳ Inviting..." : "✉️ Send Invite"}
+          </button>
+        </div>
+        {error && <p className="text-red-500 text-xs mt-2">{error}</p>}
+        <p className={`text-xs mt-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+          💡 {ROLES[role].description}. The invitee receives an email to set their password.
+        </p>
+      </div>
+
+      {/* Admins List */}
+      <div className={`rounded-xl shadow-md border overflow-hidden transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+        }`}>
+        <div className="p-6 pb-4">
+          <h2 className={`text-xl font-bold flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"
+            }`}>
+            <span className="text-2xl">👤</span>
+            Admins
+          </h2>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className={darkMode ? "bg-gray-700" : "bg-gray-50"}>
+              <tr>
+                {["Email", "Role", "Invited", "Actions"].map((heading) => (
+                  <th
+                    key={heading}
+                    className={`px-6 py-3 text-left text-xs font-bold uppercase tracking-wider ${darkMode ? "text-gray-300" : "text-gray-700"
+                      }`}
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className={`divide-y ${darkMode ? "bg-gray-800 divide-gray-700" : "bg-white divide-gray-100"
+              }`}>
+              {admins.map((a) => {
+                const isSelf = a.id === admin.id;
+                // Never leave the dashboard without an owner
+                const isLastOwner = a.role === "owner" && ownerCount <= 1;
+                return (
+                  <tr key={a.id} className={darkMode ? "hover:bg-gray-700" : "hover:bg-gray-50"}>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${darkMode ? "text-white" : "text-gray-900"
+                      }`}>
+                      {a.email || a.id}
+                      {isSelf && (
+                        <span className="ml-2 px-2 py-0.5 rounded text-xs font-semibold bg-blue-100 text-blue-800">You</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {isSelf || isLastOwner ? (
+                        <span className={`text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                          {getRoleLabel(a.role)}
+                        </span>
+                      ) : (
+                        <select
+                          value={a.role}
+                          onChange={(e) => handleRoleChange(a.id, e.target.value)}
+                          className={`px-2 py-1 rounded-lg border text-sm cursor-pointer ${darkMode
+                            ? "bg-gray-700 border-gray-600 text-white"
+                            : "bg-white border-gray-300 text-gray-900"
+                            }`}
+                        >
+                          {Object.entries(ROLES).map(([key, r]) => (
+                            <option key={key} value={key}>{r.label}</option>
+                          ))}
+                        </select>
+                      )}
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                      {a.invitedAt
+                        ? new Date(a.invitedAt.seconds * 1000).toLocaleDateString()
+                        : "N/A"}
+                      {a.invitedBy && <span className="block">by {a.invitedBy}</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {!isSelf && !isLastOwner && (
+                        <button
+                          onClick={() => handleRemove(a.id)}
+                          className="text-white bg-red-500 hover:bg-red-600 font-semibold px-3 py-1.5 rounded-lg text-xs transition-all shadow-sm hover:shadow-md"
+                        >
+                          ✗ Remove
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminManagement;
@@ -1,16 +1,100 @@
 ﻿import React, { useEffect, useState } from "react";
-import { collection, onSnapshot, updateDoc, doc, query, where, orderBy } from "firebase/firestore";
+import { collection, onSnapshot, doc, query, where, orderBy, documentId, getDocs } from "firebase/firestore";
 import { db } from "../firebase";
 import UpdateManager from "./UpdateManager";
+import AdminManagement from "./AdminManagement";
+import AuditLog from "./AuditLog";
+import ExpiryModal from "./ExpiryModal";
+import ExportModal from "./ExportModal";
+import PreapprovedImport from "./PreapprovedImport";
+import FilterPanel from "./FilterPanel";
+import ConflictsView from "./ConflictsView";
+import DeviceModal from "./DeviceModal";
+import AgentManagement from "./AgentManagement";
+import ReasonModal from "./ReasonModal";
+import UserDrawer from "./UserDrawer";
+import FeaturePopover from "./FeaturePopover";
+import FeatureRequests from "./FeatureRequests";
+import { PERMISSIONS, hasPermission, getRoleLabel } from "../utils/roles";
+import { auditedUpdate, auditedWrite, auditedBatch, BULK_CHUNK_SIZE } from "../utils/audit";
+import { getPlanLabel, isLapsed, isExpiringWithin } from "../utils/plans";
+import { buildUserChanges } from "../utils/userActions";
+import {
+  USER_STATUSES,
+  BLOCKED_STATUSES,
+  getUserStatus,
+  isPending,
+  isApproved,
+  isLive,
+  canTransition,
+} from "../utils/userStatus";
+import { runUserMigration } from "../utils/userMigration";
+import { formatDate, daysUntil, toDate } from "../utils/dates";
+import { buildExportRows } from "../utils/exportUsers";
+import { downloadCsv, downloadBlob } from "../utils/csv";
+import { normalizePhone } from "../utils/phone";
+import { fetchPageConflicts, getConflictField } from "../utils/conflicts";
+import { agentStatus } from "../utils/agents";
+import { getStatusReasonLabel, describeStatusReason } from "../utils/statusReasons";
+import { getTagClasses } from "../utils/tags";
+import { FEATURES, hasFeature, getFeatureLabel, getRequestFeatureKey } from "../utils/features";
+import { EMPTY_FILTERS, readUrlState, writeUrlState, matchesFilters, countActiveFilters, describeFilters } from "../utils/userFilters";
+import {
+  PAGE_SIZE,
+  usersPageQuery,
+  userSearchQueries,
+  usersTabQuery,
+  usersChunkQuery,
+  fetchTabCount,
+  fetchUserStats,
+  fetchExpiringCounts,
+} from "../utils/userQueries";
 
-const AdminPanel = ({ onLogout }) => {
-  const [users, setUsers] = useState([]);
+// Look-ahead windows (days) offered on the Expiring tab
+const EXPIRING_WINDOWS = [7, 14, 30];
+
+const AdminPanel = ({ admin, onLogout }) => {
+  const [users, setUsers] = useState([]); // Current page, or search results
+  const [loadingUsers, setLoadingUsers] = useState(true);
+  const [usersError, setUsersError] = useState(""); // Why the page / search query failed (e.g. a missing index)
+  const [pageCursors, setPageCursors] = useState([null]); // Last doc of each previous page
+  const [pageIndex, setPageIndex] = useState(0);
+  const [hasNextPage, setHasNextPage] = useState(false);
+  const [lastDoc, setLastDoc] = useState(null);
+  const [stats, setStats] = useState({ total: 0, undated: 0, unnormalized: 0, active: 0, pending: 0, approved: 0, rejected: 0, suspended: 0, expired: 0 });
+  const [expiringCounts, setExpiringCounts] = useState({});
+  const [countsVersion, setCountsVersion] = useState(0); // Bumped after writes to reload the counts
+  const [requestUsers, setRequestUsers] = useState({}); // Users referenced by feature requests, by id
   const [featureRequests, setFeatureRequests] = useState([]);
-  const [filter, setFilter] = useState("pending"); // pending | approved | rejected
-  const [search, setSearch] = useState("");
-  const [dateSort, setDateSort] = useState("desc"); // desc | asc
+  // Tab, search, sort and filters start from (and are mirrored to) the URL
+  const [urlState] = useState(readUrlState);
+  const [filter, setFilter] = useState(urlState.filter); // a user status or expiring
+  const [expiringWindow, setExpiringWindow] = useState(urlState.expiringWindow); // 7 | 14 | 30 | expired (lapsed)
+  const [search, setSearch] = useState(urlState.search);
+  const [dateSort, setDateSort] = useState(urlState.dateSort); // desc | asc
+  const [filters, setFilters] = useState(urlState.filters); // see utils/userFilters
+  const [showFilters, setShowFilters] = useState(() => countActiveFilters(urlState.filters) > 0);
+  const [filteredCount, setFilteredCount] = useState(null);
   const [showRequests, setShowRequests] = useState(false);
-  const [showUpdates, setShowUpdates] = useState(false);
+  const [expiryAction, setExpiryAction] = useState(null); // { mode, user } for ExpiryModal
+  const [reasonAction, setReasonAction] = useState(null); // { mode, user, bulk } for ReasonModal
+  const [deviceUserId, setDeviceUserId] = useState(null); // User shown in DeviceModal
+  const [featurePopover, setFeaturePopover] = useState(null); // { userId | bulk, anchor } for FeaturePopover
+  const [drawerUserId, setDrawerUserId] = useState(null); // User shown in UserDrawer
+  const [drawerUser, setDrawerUser] = useState(null);
+  const [sweeping, setSweeping] = useState(false);
+  const [sweepSummary, setSweepSummary] = useState(null); // { deactivated: [], failed: [] }
+  const [migrating, setMigrating] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [selectAllMatching, setSelectAllMatching] = useState(false); // Selection is the whole tab, not just this page
+  const [bulkProgress, setBulkProgress] = useState(null); // { done, total }
+  const [bulkSummary, setBulkSummary] = useState(null); // { label, succeeded, skipped, failed: [] }
+  const [showExport, setShowExport] = useState(false);
+  const [preapproved, setPreapproved] = useState({}); // Pre-approval entries for the listed pending users, by phone
+  const [pageConflicts, setPageConflicts] = useState({}); // Shared device / phone, by user id
+  const [agents, setAgents] = useState(null); // Known agents, by agent code (null until loaded)
+  const [tags, setTags] = useState([]); // User tags, by label
+  const [activeView, setActiveView] = useState("users"); // users | agents | updates | admins | audit | import | conflicts
   const [darkMode, setDarkMode] = useState(() => {
     const saved = localStorage.getItem("darkMode");
     return saved ? JSON.parse(saved) : false;
@@ -23,14 +107,134 @@ const AdminPanel = ({ onLogout }) => {
     localStorage.setItem("darkMode", JSON.stringify(newMode));
   };
 
-  // 🔹 Firestore real-time listener for users
+  // Permission check for the signed-in admin
+  const can = (permission) => hasPermission(admin, permission);
+
+  const searchTerm = search.trim();
+  const activeFilterCount = countActiveFilters(filters);
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setSelectAllMatching(false);
+  };
+
+  // Back to the first page whenever the query changes
+  const resetPaging = () => {
+    setPageCursors([null]);
+    setPageIndex(0);
+    clearSelection();
+  };
+
+  // 🔹 Firestore real-time listener for the current page of users
   useEffect(() => {
-    const unsubscribe = onSnapshot(collection(db, "users"), (snapshot) => {
-      const allUsers = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
-      setUsers(allUsers);
+    if (searchTerm) return;
+    setLoadingUsers(true);
+    setUsersError("");
+    const q = usersPageQuery({ filter, expiringWindow, dateSort, filters, cursor: pageCursors[pageIndex] });
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const pageDocs = snapshot.docs.slice(0, PAGE_SIZE);
+      setUsers(pageDocs.map((d) => ({ id: d.id, ...d.data() })));
+      setLastDoc(pageDocs[pageDocs.length - 1] || null);
+      setHasNextPage(snapshot.docs.length > PAGE_SIZE);
+      setLoadingUsers(false);
+    }, (error) => {
+      console.error("Error loading users:", error);
+      setUsers([]);
+      setUsersError(error.message);
+      setLoadingUsers(false);
     });
     return () => unsubscribe();
-  }, []);
+  }, [filter, expiringWindow, dateSort, filters, pageCursors, pageIndex, searchTerm]);
+
+  // 🔹 Firestore real-time listeners for phone / agent code prefix search
+  useEffect(() => {
+    if (!searchTerm) return;
+    setLoadingUsers(true);
+    setUsersError("");
+    const results = [];
+    let unsubscribes = [];
+
+    // Debounce so each keystroke doesn't open new listeners
+    const timer = setTimeout(() => {
+      unsubscribes = userSearchQueries({ filter, term: searchTerm }).map((q, i) =>
+        onSnapshot(q, (snapshot) => {
+          results[i] = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+          // Merge, de-duplicate and order like the paged view
+          const merged = new Map();
+          results.flat().forEach((u) => merged.set(u.id, u));
+          const matches = [...merged.values()]
+            .filter((u) => filter !== "expiring" || (expiringWindow === "expired"
+              ? isLapsed(u)
+              : isExpiringWithin(u, Number(expiringWindow))))
+            .filter((u) => matchesFilters(u, filters))
+            .sort((a, b) => {
+              if (filter === "expiring") return (toDate(a.expiresAt) || 0) - (toDate(b.expiresAt) || 0);
+              const dateA = a.createdAt?.seconds || 0;
+              const dateB = b.createdAt?.seconds || 0;
+              return dateSort === "asc" ? dateA - dateB : dateB - dateA;
+            });
+          setUsers(matches);
+          setHasNextPage(false);
+          setLoadingUsers(false);
+        }, (error) => {
+          console.error("Error searching users:", error);
+          setUsersError(error.message);
+          setLoadingUsers(false);
+        })
+      );
+    }, 300);
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+    };
+  }, [filter, expiringWindow, dateSort, filters, searchTerm]);
+
+  // 🔹 Keep the URL in sync so the current view can be shared
+  useEffect(() => {
+    writeUrlState({ filter, expiringWindow, search, dateSort, filters });
+  }, [filter, expiringWindow, search, dateSort, filters]);
+
+  // Reload the aggregate counts after this admin's writes. Other admins'
+  // edits and writes made in other views show on the next tab, filter or
+  // view change.
+  const refreshCounts = () => setCountsVersion((version) => version + 1);
+
+  // 🔹 Stats cards from aggregate counts
+  useEffect(() => {
+    let cancelled = false;
+    fetchUserStats()
+      .then((counts) => !cancelled && setStats(counts))
+      .catch((error) => console.error("Error loading stats:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [filter, activeView, countsVersion]);
+
+  // 🔹 Row count for the footer when advanced filters narrow the tab
+  useEffect(() => {
+    if (activeFilterCount === 0) return;
+    let cancelled = false;
+    fetchTabCount({ filter, expiringWindow, filters })
+      .then((count) => !cancelled && setFilteredCount(count))
+      .catch((error) => console.error("Error counting filtered users:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [filter, expiringWindow, filters, activeFilterCount, activeView, countsVersion]);
+
+  // 🔹 Expiring tab bucket counts
+  useEffect(() => {
+    if (filter !== "expiring") return;
+    let cancelled = false;
+    fetchExpiringCounts(EXPIRING_WINDOWS)
+      .then((counts) => !cancelled && setExpiringCounts(counts))
+      .catch((error) => console.error("Error loading expiring counts:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [filter, activeView, countsVersion]);
 
   // 🔹 Firestore real-time listener for feature requests
   useEffect(() => {
@@ -45,120 +249,531 @@ const AdminPanel = ({ onLogout }) => {
     return () => unsubscribe();
   }, []);
 
-  // 🔹 Approve user
-  const handleApprove = async (id) => {
-    await updateDoc(doc(db, "users", id), {
-      isApproved: true,
-      isActive: true,
-      isDeactivated: false,
-      expiresAt: new Date(
-        new Date().setFullYear(new Date().getFullYear() + 1)
-      ),
-    });
+  // 🔹 Load the users behind feature requests (they may not be on the current page)
+  useEffect(() => {
+    const missing = [...new Set(featureRequests.map((r) => r.userId).filter(Boolean))]
+      .filter((id) => !(id in requestUsers));
+    if (missing.length === 0) return;
+
+    // "in" queries accept at most 30 ids
+    const chunks = [];
+    for (let i = 0; i < missing.length; i += 30) chunks.push(missing.slice(i, i + 30));
+    Promise.all(chunks.map((ids) => getDocs(query(collection(db, "users"), where(documentId(), "in", ids)))))
+      .then((snapshots) => {
+        const loaded = Object.fromEntries(missing.map((id) => [id, null]));
+        snapshots.forEach((snapshot) =>
+          snapshot.docs.forEach((d) => (loaded[d.id] = { id: d.id, ...d.data() }))
+        );
+        setRequestUsers((prev) => ({ ...prev, ...loaded }));
+      })
+      .catch((error) => console.error("Error loading request users:", error));
+  }, [featureRequests, requestUsers]);
+
+  // 🔹 Match pending users on screen against the pre-approval allowlist
+  useEffect(() => {
+    const phones = [...new Set(users.filter(isPending).map((u) => normalizePhone(u.phone)).filter(Boolean))];
+    if (phones.length === 0) {
+      setPreapproved({});
+      return;
+    }
+
+    let cancelled = false;
+    const chunks = [];
+    for (let i = 0; i < phones.length; i += 30) chunks.push(phones.slice(i, i + 30));
+    Promise.all(chunks.map((ids) => getDocs(query(collection(db, "preapproved"), where(documentId(), "in", ids)))))
+      .then((snapshots) => {
+        if (cancelled) return;
+        const entries = {};
+        snapshots.forEach((snapshot) => snapshot.docs.forEach((d) => (entries[d.id] = d.data())));
+        setPreapproved(entries);
+      })
+      .catch((error) => console.error("Error loading pre-approvals:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [users]);
+
+  // 🔹 Flag listed users that share a device or phone with another registration.
+  // Keyed on just those fields, so other edits on the page don't re-run the lookup.
+  const conflictKey = JSON.stringify(users.map(({ id, deviceId = null, phone = null }) => ({ id, deviceId, phone })));
+  useEffect(() => {
+    const pageUsers = JSON.parse(conflictKey);
+    if (pageUsers.length === 0) {
+      setPageConflicts({});
+      return;
+    }
+    let cancelled = false;
+    fetchPageConflicts(pageUsers)
+      .then((conflicts) => !cancelled && setPageConflicts(conflicts))
+      .catch((error) => console.error("Error checking conflicts:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [conflictKey]);
+
+  // 🔹 Firestore real-time listener for agents (to flag unknown agent codes)
+  useEffect(() => {
+    const unsubscribe = onSnapshot(collection(db, "agents"), (snapshot) => {
+      setAgents(Object.fromEntries(snapshot.docs.map((d) => [d.id, { id: d.id, ...d.data() }])));
+    }, (error) => console.error("Error loading agents:", error));
+    return () => unsubscribe();
+  }, []);
+
+  // 🔹 Firestore real-time listener for user tags
+  useEffect(() => {
+    const unsubscribe = onSnapshot(collection(db, "user_tags"), (snapshot) => {
+      const list = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      list.sort((a, b) => (a.label || a.id).localeCompare(b.label || b.id));
+      setTags(list);
+    }, (error) => console.error("Error loading tags:", error));
+    return () => unsubscribe();
+  }, []);
+
+  // 🔹 Firestore real-time listener for the user open in the drawer
+  useEffect(() => {
+    if (!drawerUserId) {
+      setDrawerUser(null);
+      return;
+    }
+    const unsubscribe = onSnapshot(doc(db, "users", drawerUserId), (snapshot) => {
+      setDrawerUser(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+    }, (error) => console.error("Error loading user:", error));
+    return () => unsubscribe();
+  }, [drawerUserId]);
+
+  // Phone number used as the audit label for a user
+  const userLabel = (id) =>
+    (users.find((u) => u.id === id) || requestUsers[id])?.phone || null;
+
+  // Field changes for each user action, shared by the row and bulk handlers
+  const userChanges = buildUserChanges(admin);
+
+  // Bulk toolbar actions: which users each applies to and who may run it
+  const bulkActions = {
+    approve: { label: "✓ Approve", auditAction: "user.approve", permission: PERMISSIONS.REVIEW_USERS, needsPlan: true, eligible: isPending, changes: userChanges.approve },
+    reject: { label: "✗ Reject", auditAction: "user.reject", permission: PERMISSIONS.REVIEW_USERS, needsReason: true, eligible: isPending, changes: userChanges.reject },
+    deactivate: { label: "⏸ Deactivate", auditAction: "user.deactivate", permission: PERMISSIONS.MANAGE_USERS, needsReason: true, eligible: (u) => canTransition(u, "suspended"), changes: userChanges.deactivate },
+    activate: { label: "▶ Activate", auditAction: "user.activate", permission: PERMISSIONS.MANAGE_USERS, needsPlan: true, eligible: (u) => !isLive(u), changes: userChanges.activate },
+    extend: { label: "⏩ Extend", auditAction: "user.extend", permission: PERMISSIONS.MANAGE_USERS, needsPlan: true, eligible: isApproved, changes: userChanges.extend },
+    // Option is { key, enabled }, chosen in FeaturePopover; users already set that way are skipped
+    features: {
+      label: "🧩 Features",
+      auditAction: "user.features",
+      permission: PERMISSIONS.MANAGE_FEATURES,
+      needsFeature: true,
+      eligible: (u, option) => !option || hasFeature(u, option.key) !== option.enabled,
+      describe: ({ key, enabled }) => `${getFeatureLabel(key)} ${enabled ? "On" : "Off"}`,
+      changes: userChanges.feature,
+    },
   };
 
-  // 🔹 Reject user
-  const handleReject = async (id) => {
-    await updateDoc(doc(db, "users", id), {
-      isApproved: false,
-      isDeactivated: true,
-      isActive: false,
-    });
+  // Single-user writes return whether they succeeded, so the modal that
+  // started them stays open on failure
+
+  // 🔹 Approve user on a plan
+  const handleApprove = async (id, planId) => {
+    try {
+      await auditedUpdate(admin, "user.approve", doc(db, "users", id), userChanges.approve(planId), userLabel(id));
+      refreshCounts();
+      return true;
+    } catch (error) {
+      console.error("Error approving user:", error);
+      alert("❌ Failed to approve user: " + error.message);
+      return false;
+    }
+  };
+
+  // 🔹 Reject user with a reason
+  const handleReject = async (id, status) => {
+    try {
+      await auditedUpdate(admin, "user.reject", doc(db, "users", id), userChanges.reject(status), userLabel(id));
+      refreshCounts();
+      return true;
+    } catch (error) {
+      console.error("Error rejecting user:", error);
+      alert("❌ Failed to reject user: " + error.message);
+      return false;
+    }
   };
 
-  // 🔹 Deactivate user
-  const handleDeactivate = async (id) => {
-    await updateDoc(doc(db, "users", id), {
-      isActive: false,
-      isDeactivated: true,
+  // 🔹 Deactivate user with a reason
+  const handleDeactivate = async (id, status) => {
+    try {
+      await auditedUpdate(admin, "user.deactivate", doc(db, "users", id), userChanges.deactivate(status), userLabel(id));
+      refreshCounts();
+      return true;
+    } catch (error) {
+      console.error("Error deactivating user:", error);
+      alert("❌ Failed to deactivate user: " + error.message);
+      return false;
+    }
+  };
+
+  // 🔹 Activate user on a plan
+  const handleActivate = async (id, planId) => {
+    try {
+      await auditedUpdate(admin, "user.activate", doc(db, "users", id), userChanges.activate(planId), userLabel(id));
+      refreshCounts();
+      return true;
+    } catch (error) {
+      console.error("Error activating user:", error);
+      alert("❌ Failed to activate user: " + error.message);
+      return false;
+    }
+  };
+
+  // 🔹 Extend subscription by a plan
+  const handleExtend = async (id, planId) => {
+    try {
+      await auditedUpdate(admin, "user.extend", doc(db, "users", id), userChanges.extend(planId), userLabel(id));
+      refreshCounts();
+      return true;
+    } catch (error) {
+      console.error("Error extending subscription:", error);
+      alert("❌ Failed to extend subscription: " + error.message);
+      return false;
+    }
+  };
+
+  // 🔹 Set a custom expiry date
+  const handleSetExpiry = async (id, expiresAt) => {
+    try {
+      await auditedUpdate(admin, "user.expiry", doc(db, "users", id), userChanges.custom(expiresAt), userLabel(id));
+      refreshCounts();
+      return true;
+    } catch (error) {
+      console.error("Error setting expiry:", error);
+      alert("❌ Failed to set expiry: " + error.message);
+      return false;
+    }
+  };
+
+  // 🔹 Clear a user's device binding so the app can re-register
+  const handleResetDevice = (id) =>
+    auditedUpdate(admin, "user.resetDevice", doc(db, "users", id), userChanges.resetDevice(), userLabel(id)).then(refreshCounts);
+
+  // 🔹 Move a user to a new device
+  const handleTransferDevice = (id, deviceId) =>
+    auditedUpdate(admin, "user.transferDevice", doc(db, "users", id), userChanges.transferDevice(deviceId), userLabel(id))
+      .then(refreshCounts);
+
+  // 🔹 Drill down from an agent to its users
+  const handleViewAgentUsers = (agentCode) => {
+    setFilters({ ...EMPTY_FILTERS, agentCodes: [agentCode] });
+    setFilteredCount(null);
+    setShowFilters(true);
+    setSearch("");
+    resetPaging();
+    setActiveView("users");
+  };
+
+  // Row actions started from the user drawer (`anchor` positions the features popover)
+  const handleDrawerAction = (mode, user, anchor) => {
+    if (mode === "reject" || mode === "deactivate") setReasonAction({ mode, user });
+    else if (mode === "device") setDeviceUserId(user.id);
+    else if (mode === "features") setFeaturePopover({ userId: user.id, anchor });
+    else setExpiryAction({ mode, user });
+  };
+
+  // Apply the choice made in ExpiryModal (for one row or the bulk selection)
+  const handleExpiryConfirm = async ({ planId, expiresAt }) => {
+    const { mode, user, bulk } = expiryAction;
+    if (bulk) {
+      // Close first so the toolbar progress bar is visible
+      setExpiryAction(null);
+      await handleBulkAction(mode, planId);
+      return;
+    }
+    let saved = false;
+    if (mode === "approve") saved = await handleApprove(user.id, planId);
+    else if (mode === "activate") saved = await handleActivate(user.id, planId);
+    else if (mode === "extend") saved = await handleExtend(user.id, planId);
+    else if (mode === "custom") saved = await handleSetExpiry(user.id, expiresAt);
+    if (saved) setExpiryAction(null);
+  };
+
+  // Apply the reason chosen in ReasonModal (for one row or the bulk selection)
+  const handleReasonConfirm = async (status) => {
+    const { mode, user, bulk } = reasonAction;
+    if (bulk) {
+      setReasonAction(null);
+      await handleBulkAction(mode, status);
+      return;
+    }
+    let saved = false;
+    if (mode === "reject") saved = await handleReject(user.id, status);
+    else if (mode === "deactivate") saved = await handleDeactivate(user.id, status);
+    if (saved) setReasonAction(null);
+  };
+
+  // 🔹 Move every approved user whose subscription has lapsed to expired
+  const handleSweepExpired = async () => {
+    let lapsed;
+    try {
+      const snapshot = await getDocs(usersTabQuery({ filter: "expiring", expiringWindow: "expired" }));
+      lapsed = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+    } catch (error) {
+      console.error("Error loading expired users:", error);
+      alert("❌ Failed to load expired users: " + error.message);
+      return;
+    }
+    if (lapsed.length === 0) {
+      setSweepSummary({ deactivated: [], failed: [] });
+      return;
+    }
+    if (!window.confirm(`Expire ${lapsed.length} lapsed user(s)?`)) return;
+
+    setSweeping(true);
+    const results = await Promise.allSettled(
+      lapsed.map((u) =>
+        auditedUpdate(admin, "user.expire", doc(db, "users", u.id), userChanges.expire(), u.phone || null)
+      )
+    );
+    const label = (u) => u.phone || u.id;
+    setSweepSummary({
+      deactivated: lapsed.filter((_, i) => results[i].status === "fulfilled").map(label),
+      failed: lapsed.filter((_, i) => results[i].status === "rejected").map(label),
     });
+    results
+      .filter((r) => r.status === "rejected")
+      .forEach((r) => console.error("Error expiring user:", r.reason));
+    refreshCounts();
+    setSweeping(false);
+  };
+
+  // 🔹 One-time migration: write `status` (with the matching legacy
+  // booleans), a missing `createdAt`, `phoneNormalized` and an upper-cased
+  // agent code on docs that predate them (on demand: this reads the whole
+  // users collection)
+  const handleMigrateUsers = async () => {
+    if (!window.confirm("Fill in the status, registration date and normalized phone and agent code of users created before those fields existed? This reads all users.")) return;
+    setMigrating(true);
+    try {
+      const migrated = await runUserMigration(admin);
+      alert(`✅ Migrated ${migrated} user(s)`);
+      refreshCounts();
+    } catch (error) {
+      console.error("Error migrating statuses:", error);
+      alert("❌ Failed to migrate statuses: " + error.message);
+    }
+    setMigrating(false);
   };
 
-  // 🔹 Activate user
-  const handleActivate = async (id) => {
-    await updateDoc(doc(db, "users", id), {
-      isActive: true,
-      isDeactivated: false,
-      isApproved: true,
-      expiresAt: new Date(
-        new Date().setFullYear(new Date().getFullYear() + 1)
-      ),
+  // 🔹 Run a bulk action over the selected users in batched chunks. With
+  // every matching user selected, the tab is read a chunk at a time.
+  // Users the action doesn't apply to (e.g. approving an approved user) are skipped.
+  const handleBulkAction = async (key, option) => {
+    const { auditAction, eligible, changes, describe } = bulkActions[key];
+    const failed = [];
+    let succeeded = 0;
+    let skipped = 0;
+
+    const runChunk = async (chunk) => {
+      const targets = chunk.filter((u) => eligible(u, option));
+      skipped += chunk.length - targets.length;
+      if (targets.length === 0) return;
+      try {
+        await auditedBatch(admin, auditAction, targets.map((u) => ({
+          ref: doc(db, "users", u.id),
+          current: u,
+          changes: changes(option),
+          label: u.phone || null,
+        })));
+        succeeded += targets.length;
+      } catch (error) {
+        console.error("Error running bulk action:", error);
+        targets.forEach((u) => failed.push({ label: u.phone || u.id, error: error.message }));
+      }
+    };
+
+    if (selectAllMatching) {
+      // Users the action moves out of the tab don't shift the cursor, which
+      // is the last doc read
+      const total = typeof tabCount === "number" ? tabCount : 0;
+      let cursor = null;
+      let done = 0;
+      setBulkProgress({ done, total });
+      try {
+        do {
+          const snapshot = await getDocs(usersChunkQuery({ filter, expiringWindow, dateSort, filters, cursor, size: BULK_CHUNK_SIZE }));
+          await runChunk(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+          done += snapshot.size;
+          setBulkProgress({ done, total: Math.max(total, done) });
+          cursor = snapshot.size === BULK_CHUNK_SIZE ? snapshot.docs[snapshot.size - 1] : null;
+        } while (cursor);
+      } catch (error) {
+        console.error("Error reading users for bulk action:", error);
+        failed.push({ label: `Users after the first ${done}`, error: error.message });
+      }
+    } else {
+      setBulkProgress({ done: 0, total: selectedUsers.length });
+      for (let i = 0; i < selectedUsers.length; i += BULK_CHUNK_SIZE) {
+        await runChunk(selectedUsers.slice(i, i + BULK_CHUNK_SIZE));
+        setBulkProgress({ done: Math.min(i + BULK_CHUNK_SIZE, selectedUsers.length), total: selectedUsers.length });
+      }
+    }
+
+    setBulkProgress(null);
+    refreshCounts();
+    setBulkSummary({
+      label: describe ? describe(option) : bulkActions[key].label,
+      succeeded,
+      skipped,
+      failed,
     });
+    clearSelection();
   };
 
-  // 🔹 Toggle WhatsApp feature
-  const handleToggleWhatsApp = async (id, currentStatus) => {
+  // 🔹 Start a bulk action, asking for a plan, reason or feature first where one is needed
+  const startBulkAction = (key, anchor) => {
+    if (bulkActions[key].needsFeature) {
+      setFeaturePopover({ bulk: true, anchor });
+      return;
+    }
+    if (bulkActions[key].needsPlan) {
+      setExpiryAction({ mode: key, bulk: true });
+      return;
+    }
+    if (bulkActions[key].needsReason) {
+      setReasonAction({ mode: key, bulk: true });
+      return;
+    }
+    const who = selectAllMatching ? `all ${tabCount} matching user(s)` : `${selectedUsers.length} selected user(s)`;
+    if (!window.confirm(`${bulkActions[key].label} for ${who}?`)) return;
+    handleBulkAction(key, bulkActions[key].option);
+  };
+
+  // 🔹 Export the current tab (or search results) as CSV / XLSX
+  const handleExport = async ({ format, columns, dateFormat }) => {
+    // Search results are already complete in memory; otherwise fetch the whole tab
+    const exportUsers = searchTerm
+      ? users
+      : (await getDocs(usersTabQuery({ filter, expiringWindow, dateSort, filters }))).docs.map((d) => ({ id: d.id, ...d.data() }));
+
+    const rows = buildExportRows(exportUsers, columns, dateFormat);
+    const fileName = `users-${filter}-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === "csv") {
+      downloadCsv(rows, `${fileName}.csv`);
+    } else {
+      // Loaded on demand to keep the main bundle small
+      const { default: writeExcelFile } = await import("write-excel-file/browser");
+      const blob = await writeExcelFile(rows).toBlob();
+      downloadBlob(blob, `${fileName}.xlsx`);
+    }
+  };
+
+  // 🔹 Turn one feature on or off for a user
+  const handleToggleFeature = async (id, key, enabled) => {
     try {
-      await updateDoc(doc(db, "users", id), {
-        whatsappEnabled: !currentStatus,
-      });
+      await auditedUpdate(admin, "user.features", doc(db, "users", id), userChanges.feature({ key, enabled }), userLabel(id));
+      refreshCounts();
+      return true;
     } catch (error) {
-      console.error("Error toggling WhatsApp:", error);
+      console.error("Error changing feature:", error);
+      alert("❌ Failed to change feature: " + error.message);
+      return false;
+    }
+  };
+
+  // Apply a choice made in FeaturePopover (for one user or the bulk selection)
+  const handleFeatureChange = async (key, enabled) => {
+    if (featurePopover.bulk) {
+      // Close first so the toolbar progress bar is visible
+      setFeaturePopover(null);
+      await handleBulkAction("features", { key, enabled });
+      return;
     }
+    await handleToggleFeature(featurePopover.userId, key, enabled);
   };
 
-  // 🔹 Approve WhatsApp feature request
+  // 🔹 Approve a feature request
   const handleApproveRequest = async (requestId, userId) => {
     try {
-      // Enable WhatsApp for the user
-      await updateDoc(doc(db, "users", userId), {
-        whatsappEnabled: true,
-      });
-
-      // Update request status
-      await updateDoc(doc(db, "feature_requests", requestId), {
-        status: "approved",
-        approvedAt: new Date(),
-      });
+      const request = featureRequests.find((r) => r.id === requestId);
+      const label = request?.userPhone || userLabel(userId);
+      const featureKey = getRequestFeatureKey(request || {});
+
+      // Enable the requested feature for the user and close the request together
+      await auditedWrite(admin, "request.approve", [
+        {
+          ref: doc(db, "users", userId),
+          changes: userChanges.feature({ key: featureKey, enabled: true }),
+          label,
+        },
+        {
+          ref: doc(db, "feature_requests", requestId),
+          changes: { status: "approved", featureKey, approvedAt: new Date(), approvedBy: admin.email },
+          label,
+        },
+      ]);
+      refreshCounts();
     } catch (error) {
       console.error("Error approving request:", error);
+      alert("❌ Failed to approve request: " + error.message);
     }
   };
 
-  // 🔹 Reject WhatsApp feature request
+  // 🔹 Reject a feature request
   const handleRejectRequest = async (requestId) => {
     try {
-      await updateDoc(doc(db, "feature_requests", requestId), {
+      const request = featureRequests.find((r) => r.id === requestId);
+      await auditedUpdate(admin, "request.reject", doc(db, "feature_requests", requestId), {
         status: "rejected",
         rejectedAt: new Date(),
-      });
+        rejectedBy: admin.email,
+      }, request?.userPhone || userLabel(request?.userId));
     } catch (error) {
       console.error("Error rejecting request:", error);
+      alert("❌ Failed to reject request: " + error.message);
     }
   };
 
-  // 🔹 Filter by status
-  const filteredUsers = users.filter((u) => {
-    if (filter === "pending") return !u.isApproved && !u.isDeactivated;
-    if (filter === "approved") return u.isApproved && !u.isDeactivated;
-    if (filter === "rejected") return u.isDeactivated;
-    return true;
-  });
+  // 🔹 Selection: rows on the current page, or (once the whole page is
+  // selected) every user matching the tab and filters
+  const selectedUsers = users.filter((u) => selectedIds.has(u.id));
+  const allVisibleSelected = users.length > 0 && selectedUsers.length === users.length;
 
-  // 🔹 Search by phone OR agentCode (case-insensitive)
-  const searchedUsers = filteredUsers.filter((u) => {
-    const phone = (u.phone || "").toLowerCase();
-    const agentCode = (u.agentCode || "").toLowerCase();
-    const query = search.toLowerCase();
-    return phone.includes(query) || agentCode.includes(query);
-  });
+  const toggleSelected = (id) => {
+    setSelectAllMatching(false);
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
 
-  // 🔹 Sort Users
-  const sortedUsers = [...searchedUsers].sort((a, b) => {
-    const dateA = a.createdAt?.seconds || 0;
-    const dateB = b.createdAt?.seconds || 0;
-    return dateSort === "asc" ? dateA - dateB : dateB - dateA;
-  });
+  const toggleSelectAll = () => {
+    setSelectAllMatching(false);
+    setSelectedIds(allVisibleSelected ? new Set() : new Set(users.map((u) => u.id)));
+  };
 
-  // 🔹 Calculate stats
-  const stats = {
-    total: users.length,
-    pending: users.filter((u) => !u.isApproved && !u.isDeactivated).length,
-    approved: users.filter((u) => u.isApproved && !u.isDeactivated).length,
-    rejected: users.filter((u) => u.isDeactivated).length,
-    active: users.filter((u) => u.isActive).length,
+  // 🔹 Page controls
+  const goToNextPage = () => {
+    if (!hasNextPage || !lastDoc) return;
+    setPageCursors((prev) => [...prev.slice(0, pageIndex + 1), lastDoc]);
+    setPageIndex(pageIndex + 1);
+    clearSelection();
   };
 
+  const goToPreviousPage = () => {
+    if (pageIndex === 0) return;
+    setPageIndex(pageIndex - 1);
+    clearSelection();
+  };
+
+  // Total rows in the current tab, for the table footer
+  const tabCount = activeFilterCount > 0
+    ? filteredCount ?? "…"
+    : filter === "expiring" ? expiringCounts[expiringWindow] ?? 0 : stats[filter];
+
+  // Search results are all loaded, so only tab pages can extend to every match
+  const canSelectMatching = !searchTerm && allVisibleSelected && typeof tabCount === "number" && tabCount > users.length;
+
+  // Non-pending users written before `status` existed; they show in no tab until migrated
+  const unmigratedCount = Math.max(0, stats.total - Object.keys(USER_STATUSES).reduce((sum, status) => sum + stats[status], 0));
+
   // 🔹 Feature requests stats
   const pendingRequests = featureRequests.filter((r) => r.status === "pending").length;
 
@@ -168,7 +783,7 @@ const AdminPanel = ({ onLogout }) => {
       : "bg-gradient-to-br from-gray-50 to-gray-100"
       }`}>
       {/* Header Section */}
-      <div className={`shadow-sm border-b transition-colors duration-300 ${darkMode
+      <div className={`print:hidden shadow-sm border-b transition-colors duration-300 ${darkMode
         ? "bg-gray-800 border-gray-700"
         : "bg-white border-gray-200"
         }`}>
@@ -185,13 +800,114 @@ const AdminPanel = ({ onLogout }) => {
               </p>
             </div>
             <div className="flex items-center gap-2 md:gap-3 flex-wrap">
+              {/* Signed-in Admin */}
+              <div className={`hidden lg:flex flex-col items-end mr-1 text-xs transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-600"
+                }`}>
+                <span className="font-semibold">{admin.email}</span>
+                <span className={darkMode ? "text-gray-400" : "text-gray-500"}>{getRoleLabel(admin.role)}</span>
+              </div>
+
+              {/* View Tabs */}
+              <div className={`flex p-1 rounded-lg transition-colors duration-300 ${darkMode ? "bg-gray-700" : "bg-gray-200"
+                }`}>
+                {[["users", "👥 Users"], ["agents", "🏷️ Agents"]].map(([view, label]) => (
+                  <button
+                    key={view}
+                    onClick={() => {
+                      setActiveView(view);
+                      setShowRequests(false);
+                    }}
+                    className={`px-3 md:px-4 py-1.5 md:py-2 rounded-lg text-xs md:text-sm font-semibold transition-all duration-200 ${activeView === view
+                      ? "bg-blue-600 text-white shadow-md"
+                      : darkMode
+                        ? "text-gray-300 hover:bg-gray-600"
+                        : "text-gray-700 hover:bg-gray-300"
+                      }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {/* Admins Button (owners only) */}
+              {can(PERMISSIONS.MANAGE_ADMINS) && (
+                <button
+                  onClick={() => {
+                    setActiveView(activeView === "admins" ? "users" : "admins");
+                    setShowRequests(false);
+                  }}
+                  className={`flex items-center gap-2 px-3 md:px-4 py-2 rounded-lg font-semibold text-xs md:text-sm transition-all duration-300 shadow-md hover:shadow-lg ${activeView === "admins"
+                    ? "bg-indigo-500 hover:bg-indigo-600 text-white"
+                    : darkMode
+                      ? "bg-gray-700 hover:bg-gray-600 text-white"
+                      : "bg-white hover:bg-gray-50 text-gray-900 border border-gray-300"
+                    }`}
+                >
+                  <span className="text-lg md:text-xl">🛡️</span>
+                  <span className="hidden sm:inline">Admins</span>
+                </button>
+              )}
+
+              {/* Pre-approval Import Button */}
+              {can(PERMISSIONS.REVIEW_USERS) && (
+                <button
+                  onClick={() => {
+                    setActiveView(activeView === "import" ? "users" : "import");
+                    setShowRequests(false);
+                  }}
+                  className={`flex items-center gap-2 px-3 md:px-4 py-2 rounded-lg font-semibold text-xs md:text-sm transition-all duration-300 shadow-md hover:shadow-lg ${activeView === "import"
+                    ? "bg-blue-500 hover:bg-blue-600 text-white"
+                    : darkMode
+                      ? "bg-gray-700 hover:bg-gray-600 text-white"
+                      : "bg-white hover:bg-gray-50 text-gray-900 border border-gray-300"
+                    }`}
+                >
+                  <span className="text-lg md:text-xl">📥</span>
+                  <span className="hidden sm:inline">Import</span>
+                </button>
+              )}
+
+              {/* Conflicts Button */}
+              <button
+                onClick={() => {
+                  setActiveView(activeView === "conflicts" ? "users" : "conflicts");
+                  setShowRequests(false);
+                }}
+                className={`flex items-center gap-2 px-3 md:px-4 py-2 rounded-lg font-semibold text-xs md:text-sm transition-all duration-300 shadow-md hover:shadow-lg ${activeView === "conflicts"
+                  ? "bg-orange-500 hover:bg-orange-600 text-white"
+                  : darkMode
+                    ? "bg-gray-700 hover:bg-gray-600 text-white"
+                    : "bg-white hover:bg-gray-50 text-gray-900 border border-gray-300"
+                  }`}
+              >
+                <span className="text-lg md:text-xl">⚠️</span>
+                <span className="hidden sm:inline">Conflicts</span>
+              </button>
+
+              {/* Audit Log Button */}
+              <button
+                onClick={() => {
+                  setActiveView(activeView === "audit" ? "users" : "audit");
+                  setShowRequests(false);
+                }}
+                className={`flex items-center gap-2 px-3 md:px-4 py-2 rounded-lg font-semibold text-xs md:text-sm transition-all duration-300 shadow-md hover:shadow-lg ${activeView === "audit"
+                  ? "bg-teal-500 hover:bg-teal-600 text-white"
+                  : darkMode
+                    ? "bg-gray-700 hover:bg-gray-600 text-white"
+                    : "bg-white hover:bg-gray-50 text-gray-900 border border-gray-300"
+                  }`}
+              >
+                <span className="text-lg md:text-xl">📋</span>
+                <span className="hidden sm:inline">Audit</span>
+              </button>
+
               {/* APK Updates Button */}
               <button
                 onClick={() => {
-                  setShowUpdates(!showUpdates);
+                  setActiveView(activeView === "updates" ? "users" : "updates");
                   setShowRequests(false);
                 }}
-                className={`flex items-center gap-2 px-3 md:px-4 py-2 rounded-lg font-semibold text-xs md:text-sm transition-all duration-300 shadow-md hover:shadow-lg ${showUpdates
+                className={`flex items-center gap-2 px-3 md:px-4 py-2 rounded-lg font-semibold text-xs md:text-sm transition-all duration-300 shadow-md hover:shadow-lg ${activeView === "updates"
                   ? "bg-purple-500 hover:bg-purple-600 text-white"
                   : darkMode
                     ? "bg-gray-700 hover:bg-gray-600 text-white"
@@ -206,7 +922,7 @@ const AdminPanel = ({ onLogout }) => {
               <button
                 onClick={() => {
                   setShowRequests(!showRequests);
-                  setShowUpdates(false);
+                  setActiveView("users");
                 }}
                 className={`relative flex items-center gap-2 px-3 md:px-4 py-2 rounded-lg font-semibold text-xs md:text-sm transition-all duration-300 shadow-md hover:shadow-lg ${showRequests
                   ? "bg-green-500 hover:bg-green-600 text-white"
@@ -250,16 +966,41 @@ const AdminPanel = ({ onLogout }) => {
       </div>
 
       <div className="max-w-7xl mx-auto px-4 md:px-8 py-8">
+        {/* Agents Section */}
+        {activeView === "agents" && (
+          <AgentManagement darkMode={darkMode} admin={admin} onViewUsers={handleViewAgentUsers} />
+        )}
+
         {/* APK Updates Section */}
-        {showUpdates && (
-          <UpdateManager darkMode={darkMode} />
+        {activeView === "updates" && (
+          <UpdateManager darkMode={darkMode} admin={admin} />
+        )}
+
+        {/* Admin Accounts Section */}
+        {activeView === "admins" && can(PERMISSIONS.MANAGE_ADMINS) && (
+          <AdminManagement darkMode={darkMode} admin={admin} />
         )}
 
-        {/* Hide user management when showing updates */}
-        {!showUpdates && (
+        {/* Pre-approval Import Section */}
+        {activeView === "import" && can(PERMISSIONS.REVIEW_USERS) && (
+          <PreapprovedImport darkMode={darkMode} admin={admin} />
+        )}
+
+        {/* Duplicate Registrations Section */}
+        {activeView === "conflicts" && (
+          <ConflictsView darkMode={darkMode} admin={admin} />
+        )}
+
+        {/* Audit Log Section */}
+        {activeView === "audit" && (
+          <AuditLog darkMode={darkMode} />
+        )}
+
+        {/* User management is the default view */}
+        {activeView === "users" && (
           <>
             {/* Stats Cards */}
-            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3 md:gap-4 mb-6 md:mb-8">
+            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3 md:gap-4 mb-6 md:mb-8">
               <div className={`rounded-xl shadow-md p-4 md:p-5 border hover:shadow-lg transition-all duration-300 ${darkMode
                 ? "bg-gray-800 border-gray-700"
                 : "bg-white border-gray-100"
@@ -329,6 +1070,40 @@ const AdminPanel = ({ onLogout }) => {
                 </div>
               </div>
 
+              <div className={`rounded-xl shadow-md p-4 md:p-5 border hover:shadow-lg transition-all duration-300 ${darkMode
+                ? "bg-gray-800 border-gray-700"
+                : "bg-white border-gray-100"
+                }`}>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className={`text-xs font-medium uppercase transition-colors duration-300 ${darkMode ? "text-gray-400" : "text-gray-500"
+                      }`}>Suspended</p>
+                    <p className="text-xl md:text-2xl font-bold text-orange-600 mt-1">{stats.suspended}</p>
+                  </div>
+                  <div className={`p-2 md:p-3 rounded-lg transition-colors duration-300 ${darkMode ? "bg-orange-900/50" : "bg-orange-100"
+                    }`}>
+                    <span className="text-xl md:text-2xl">⏸</span>
+                  </div>
+                </div>
+              </div>
+
+              <div className={`rounded-xl shadow-md p-4 md:p-5 border hover:shadow-lg transition-all duration-300 ${darkMode
+                ? "bg-gray-800 border-gray-700"
+                : "bg-white border-gray-100"
+                }`}>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className={`text-xs font-medium uppercase transition-colors duration-300 ${darkMode ? "text-gray-400" : "text-gray-500"
+                      }`}>Expired</p>
+                    <p className="text-xl md:text-2xl font-bold text-gray-500 mt-1">{stats.expired}</p>
+                  </div>
+                  <div className={`p-2 md:p-3 rounded-lg transition-colors duration-300 ${darkMode ? "bg-gray-700" : "bg-gray-100"
+                    }`}>
+                    <span className="text-xl md:text-2xl">⌛</span>
+                  </div>
+                </div>
+              </div>
+
               <div className={`rounded-xl shadow-md p-4 md:p-5 border hover:shadow-lg transition-all duration-300 ${darkMode
                 ? "bg-gray-800 border-gray-700"
                 : "bg-white border-gray-100"
@@ -347,119 +1122,57 @@ const AdminPanel = ({ onLogout }) => {
               </div>
             </div>
 
-            {/* Feature Requests Section */}
-            {showRequests && (
-              <div className={`rounded-xl shadow-md p-4 md:p-6 mb-6 border transition-all duration-300 ${darkMode
-                ? "bg-gray-800 border-gray-700"
-                : "bg-white border-gray-100"
+            {/* User Migration */}
+            {(unmigratedCount > 0 || stats.undated > 0 || stats.unnormalized > 0) && (
+              <div className={`rounded-xl p-4 mb-6 border flex flex-col md:flex-row md:items-center justify-between gap-3 text-sm ${darkMode
+                ? "bg-yellow-900/20 border-yellow-700 text-yellow-300"
+                : "bg-yellow-50 border-yellow-200 text-yellow-800"
                 }`}>
-                <div className="flex items-center justify-between mb-4">
-                  <h2 className={`text-lg md:text-xl font-bold transition-colors duration-300 ${darkMode ? "text-white" : "text-gray-900"
-                    }`}>
-                    💬 WhatsApp Feature Requests
-                  </h2>
+                <div>
+                  {unmigratedCount > 0 && (
+                    <p>
+                      ⚠️ {unmigratedCount} user(s) were approved, rejected or deactivated before account statuses existed
+                      and are missing from the status tabs.
+                    </p>
+                  )}
+                  {stats.undated > 0 && (
+                    <p>
+                      ⚠️ {stats.undated} user(s) have no registration date and are missing from every list, export
+                      and the expiry sweep.
+                    </p>
+                  )}
+                  {stats.unnormalized > 0 && (
+                    <p>
+                      ⚠️ {stats.unnormalized} user(s) have no normalized phone, so the allowlist import may not
+                      find their registrations.
+                    </p>
+                  )}
+                </div>
+                {can(PERMISSIONS.MANAGE_USERS) && (
                   <button
-                    onClick={() => setShowRequests(false)}
-                    className={`px-3 py-1 rounded-lg text-sm font-semibold transition-all duration-200 ${darkMode
-                      ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
-                      : "bg-gray-100 hover:bg-gray-200 text-gray-700"
-                      }`}
+                    onClick={handleMigrateUsers}
+                    disabled={migrating}
+                    className="whitespace-nowrap bg-yellow-500 hover:bg-yellow-600 disabled:bg-gray-400 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-xs md:text-sm font-semibold transition-all shadow-sm hover:shadow-md"
                   >
-                    Close
+                    {migrating ? "⏳ Migrating..." : "🧭 Migrate users"}
                   </button>
-                </div>
-
-                {featureRequests.length === 0 ? (
-                  <div className="text-center py-8">
-                    <span className="text-4xl mb-2 block">📭</span>
-                    <p className={`text-sm transition-colors duration-300 ${darkMode ? "text-gray-400" : "text-gray-500"
-                      }`}>
-                      No feature requests yet
-                    </p>
-                  </div>
-                ) : (
-                  <div className="space-y-3">
-                    {featureRequests.map((request) => {
-                      const user = users.find((u) => u.id === request.userId);
-                      return (
-                        <div
-                          key={request.id}
-                          className={`p-4 rounded-lg border transition-all duration-200 ${request.status === "pending"
-                            ? darkMode
-                              ? "bg-yellow-900/20 border-yellow-700"
-                              : "bg-yellow-50 border-yellow-200"
-                            : request.status === "approved"
-                              ? darkMode
-                                ? "bg-green-900/20 border-green-700"
-                                : "bg-green-50 border-green-200"
-                              : darkMode
-                                ? "bg-red-900/20 border-red-700"
-                                : "bg-red-50 border-red-200"
-                            }`}
-                        >
-                          <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
-                            <div className="flex-1">
-                              <div className="flex items-center gap-2 mb-2">
-                                <span className="text-2xl">💬</span>
-                                <div>
-                                  <p className={`font-semibold text-sm md:text-base transition-colors duration-300 ${darkMode ? "text-white" : "text-gray-900"
-                                    }`}>
-                                    {request.userPhone || user?.phone || "Unknown User"}
-                                  </p>
-                                  <p className={`text-xs transition-colors duration-300 ${darkMode ? "text-gray-400" : "text-gray-500"
-                                    }`}>
-                                    Agent: {user?.agentCode || "N/A"}
-                                  </p>
-                                </div>
-                              </div>
-                              <p className={`text-xs md:text-sm mb-2 transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-700"
-                                }`}>
-                                {request.message || "Requesting WhatsApp Business feature"}
-                              </p>
-                              <p className={`text-xs transition-colors duration-300 ${darkMode ? "text-gray-500" : "text-gray-400"
-                                }`}>
-                                Requested: {request.requestedAt
-                                  ? new Date(request.requestedAt.seconds * 1000).toLocaleString()
-                                  : "N/A"}
-                              </p>
-                            </div>
-
-                            <div className="flex items-center gap-2">
-                              {request.status === "pending" ? (
-                                <>
-                                  <button
-                                    onClick={() => handleApproveRequest(request.id, request.userId)}
-                                    className="bg-green-500 hover:bg-green-600 text-white px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-semibold transition-all shadow-sm hover:shadow-md"
-                                  >
-                                    ✓ Approve
-                                  </button>
-                                  <button
-                                    onClick={() => handleRejectRequest(request.id)}
-                                    className="bg-red-500 hover:bg-red-600 text-white px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-semibold transition-all shadow-sm hover:shadow-md"
-                                  >
-                                    ✗ Reject
-                                  </button>
-                                </>
-                              ) : (
-                                <span
-                                  className={`px-3 py-1 rounded-full text-xs font-semibold ${request.status === "approved"
-                                    ? "bg-green-100 text-green-800 border border-green-200"
-                                    : "bg-red-100 text-red-800 border border-red-200"
-                                    }`}
-                                >
-                                  {request.status === "approved" ? "✓ Approved" : "✗ Rejected"}
-                                </span>
-                              )}
-                            </div>
-                          </div>
-                        </div>
-                      );
-                    })}
-                  </div>
                 )}
               </div>
             )}
 
+            {/* Feature Requests Section */}
+            {showRequests && (
+              <FeatureRequests
+                darkMode={darkMode}
+                requests={featureRequests}
+                requestUsers={requestUsers}
+                canManage={can(PERMISSIONS.MANAGE_FEATURES)}
+                onApprove={(request) => handleApproveRequest(request.id, request.userId)}
+                onReject={(request) => handleRejectRequest(request.id)}
+                onClose={() => setShowRequests(false)}
+              />
+            )}
+
             {/* Filter + Search Section */}
             <div className={`rounded-xl shadow-md p-4 md:p-6 mb-6 border transition-all duration-300 ${darkMode
               ? "bg-gray-800 border-gray-700"
@@ -469,12 +1182,14 @@ const AdminPanel = ({ onLogout }) => {
                 {/* Filter Tabs */}
                 <div className={`flex p-1 rounded-xl w-full md:w-auto transition-colors duration-300 ${darkMode ? "bg-gray-700" : "bg-gray-100"
                   }`}>
-                  {["pending", "approved", "rejected"].map((tab) => (
+                  {["pending", "approved", "expiring", "suspended", "expired", "rejected"].map((tab) => (
                     <button
                       key={tab}
                       onClick={() => {
                         setFilter(tab);
                         setSearch("");
+                        setSweepSummary(null);
+                        resetPaging();
                       }}
                       className={`flex-1 md:flex-none px-3 md:px-5 py-2 md:py-2.5 rounded-lg text-xs md:text-sm font-semibold transition-all duration-200 ease-in-out ${filter === tab
                         ? "bg-blue-600 text-white shadow-md"
@@ -498,9 +1213,12 @@ const AdminPanel = ({ onLogout }) => {
                     </span>
                     <input
                       type="text"
-                      placeholder={`Search by phone or agent code...`}
+                      placeholder={`Search phone or agent code prefix...`}
                       value={search}
-                      onChange={(e) => setSearch(e.target.value)}
+                      onChange={(e) => {
+                        setSearch(e.target.value);
+                        resetPaging();
+                      }}
                       className={`w-full border pl-10 pr-4 py-2 md:py-2.5 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 transition-all duration-200 ${darkMode
                         ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:border-blue-500"
                         : "bg-white border-gray-300 text-gray-900 placeholder-gray-400 focus:border-blue-500"
@@ -511,7 +1229,10 @@ const AdminPanel = ({ onLogout }) => {
                   {/* Date Sort Dropdown */}
                   <select
                     value={dateSort}
-                    onChange={(e) => setDateSort(e.target.value)}
+                    onChange={(e) => {
+                      setDateSort(e.target.value);
+                      resetPaging();
+                    }}
                     className={`w-full md:w-auto border px-3 py-2 md:py-2.5 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 transition-all duration-200 cursor-pointer ${darkMode
                       ? "bg-gray-700 border-gray-600 text-white focus:border-blue-500"
                       : "bg-white border-gray-300 text-gray-900 focus:border-blue-500"
@@ -520,10 +1241,211 @@ const AdminPanel = ({ onLogout }) => {
                     <option value="desc">Newest First</option>
                     <option value="asc">Oldest First</option>
                   </select>
+
+                  {/* Filters Button */}
+                  <button
+                    onClick={() => setShowFilters(!showFilters)}
+                    className={`w-full md:w-auto whitespace-nowrap border px-4 py-2 md:py-2.5 rounded-lg text-sm font-semibold transition-all duration-200 ${showFilters || activeFilterCount > 0
+                      ? "bg-blue-600 border-blue-600 text-white hover:bg-blue-700"
+                      : darkMode
+                        ? "bg-gray-700 border-gray-600 text-white hover:bg-gray-600"
+                        : "bg-white border-gray-300 text-gray-900 hover:bg-gray-50"
+                      }`}
+                  >
+                    ⚙️ Filters{activeFilterCount > 0 && ` (${activeFilterCount})`}
+                  </button>
+
+                  {/* Export Button */}
+                  <button
+                    onClick={() => setShowExport(true)}
+                    className={`w-full md:w-auto whitespace-nowrap border px-4 py-2 md:py-2.5 rounded-lg text-sm font-semibold transition-all duration-200 ${darkMode
+                      ? "bg-gray-700 border-gray-600 text-white hover:bg-gray-600"
+                      : "bg-white border-gray-300 text-gray-900 hover:bg-gray-50"
+                      }`}
+                  >
+                    ⬇️ Export
+                  </button>
                 </div>
               </div>
+
+              {/* Advanced Filters */}
+              {showFilters && (
+                <FilterPanel
+                  darkMode={darkMode}
+                  filters={filters}
+                  tags={tags}
+                  onChange={(next) => {
+                    setFilters(next);
+                    setFilteredCount(null);
+                    resetPaging();
+                  }}
+                />
+              )}
+
+              {/* Expiring Windows + Expiry Sweep */}
+              {filter === "expiring" && (
+                <div className={`mt-4 pt-4 border-t ${darkMode ? "border-gray-700" : "border-gray-100"}`}>
+                  <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                    <div className="flex flex-wrap gap-2">
+                      {[...EXPIRING_WINDOWS.map(String), "expired"].map((windowKey) => (
+                        <button
+                          key={windowKey}
+                          onClick={() => {
+                            setExpiringWindow(windowKey);
+                            resetPaging();
+                          }}
+                          className={`px-3 py-1.5 rounded-lg text-xs md:text-sm font-semibold transition-all duration-200 ${expiringWindow === windowKey
+                            ? windowKey === "expired"
+                              ? "bg-red-600 text-white shadow-md"
+                              : "bg-orange-500 text-white shadow-md"
+                            : darkMode
+                              ? "bg-gray-700 text-gray-300 hover:bg-gray-600"
+                              : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                            }`}
+                        >
+                          {windowKey === "expired" ? "Lapsed" : `Next ${windowKey} days`}
+                          <span className="ml-1.5 opacity-75">({expiringCounts[windowKey] ?? "…"})</span>
+                        </button>
+                      ))}
+                    </div>
+
+                    {can(PERMISSIONS.MANAGE_USERS) && (
+                      <button
+                        onClick={handleSweepExpired}
+                        disabled={sweeping}
+                        className="bg-red-500 hover:bg-red-600 disabled:bg-gray-400 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-xs md:text-sm font-semibold transition-all shadow-sm hover:shadow-md"
+                      >
+                        {sweeping ? "⏳ Expiring..." : `⏹ Expire Lapsed (${expiringCounts.expired ?? "…"})`}
+                      </button>
+                    )}
+                  </div>
+
+                  {/* Sweep Summary */}
+                  {sweepSummary && (
+                    <div className={`mt-3 p-3 rounded-lg border text-xs md:text-sm ${sweepSummary.failed.length > 0
+                      ? darkMode ? "bg-red-900/20 border-red-700 text-red-300" : "bg-red-50 border-red-200 text-red-800"
+                      : darkMode ? "bg-green-900/20 border-green-700 text-green-300" : "bg-green-50 border-green-200 text-green-800"
+                      }`}>
+                      <div className="flex items-start justify-between gap-3">
+                        <div>
+                          {sweepSummary.deactivated.length === 0 && sweepSummary.failed.length === 0 ? (
+                            <p>✓ No lapsed users to expire.</p>
+                          ) : (
+                            <>
+                              <p className="font-semibold">
+                                ✓ Expired {sweepSummary.deactivated.length} lapsed user(s)
+                                {sweepSummary.failed.length > 0 && `, ${sweepSummary.failed.length} failed`}
+                              </p>
+                              {sweepSummary.deactivated.length > 0 && (
+                                <p className="mt-1">{sweepSummary.deactivated.join(", ")}</p>
+                              )}
+                              {sweepSummary.failed.length > 0 && (
+                                <p className="mt-1">Failed: {sweepSummary.failed.join(", ")}</p>
+                              )}
+                            </>
+                          )}
+                        </div>
+                        <button onClick={() => setSweepSummary(null)} className="font-semibold opacity-75 hover:opacity-100">
+                          ✕
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
 
+            {/* Bulk Actions Toolbar */}
+            {(selectedUsers.length > 0 || bulkProgress || bulkSummary) && (
+              <div className={`rounded-xl shadow-md p-4 mb-4 border transition-all duration-300 ${darkMode
+                ? "bg-gray-800 border-blue-700"
+                : "bg-blue-50 border-blue-200"
+                }`}>
+                {bulkProgress ? (
+                  <div>
+                    <p className={`text-sm font-semibold mb-2 ${darkMode ? "text-white" : "text-gray-900"}`}>
+                      ⏳ Updating {bulkProgress.done} / {bulkProgress.total} users...
+                    </p>
+                    <div className={`h-2 rounded-full overflow-hidden ${darkMode ? "bg-gray-700" : "bg-blue-100"}`}>
+                      <div
+                        className="h-full bg-blue-600 transition-all duration-300"
+                        style={{ width: `${bulkProgress.total ? (bulkProgress.done / bulkProgress.total) * 100 : 100}%` }}
+                      />
+                    </div>
+                  </div>
+                ) : selectedUsers.length > 0 ? (
+                  <div className="flex flex-col md:flex-row md:items-center gap-3">
+                    <div className="whitespace-nowrap">
+                      <p className={`text-sm font-semibold ${darkMode ? "text-white" : "text-gray-900"}`}>
+                        {selectAllMatching ? `All ${tabCount} matching selected` : `${selectedUsers.length} selected`}
+                      </p>
+                      {canSelectMatching && !selectAllMatching && (
+                        <button
+                          onClick={() => setSelectAllMatching(true)}
+                          className="text-xs font-semibold text-blue-600 hover:underline"
+                        >
+                          Select all {tabCount} matching
+                        </button>
+                      )}
+                    </div>
+                    <div className="flex flex-wrap gap-2 flex-1">
+                      {Object.entries(bulkActions)
+                        .filter(([, action]) => can(action.permission))
+                        .map(([key, action]) => {
+                          // Eligibility across the whole tab is only known once it's read
+                          const count = selectedUsers.filter((u) => action.eligible(u)).length;
+                          return (
+                            <button
+                              key={key}
+                              onClick={(e) => startBulkAction(key, e.currentTarget.getBoundingClientRect())}
+                              disabled={!selectAllMatching && count === 0}
+                              className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all shadow-sm disabled:opacity-40 disabled:cursor-not-allowed ${darkMode
+                                ? "bg-gray-700 hover:bg-gray-600 text-white"
+                                : "bg-white hover:bg-gray-50 text-gray-800 border border-gray-300"
+                                }`}
+                            >
+                              {selectAllMatching ? action.label : `${action.label} (${count})`}
+                            </button>
+                          );
+                        })}
+                    </div>
+                    <button
+                      onClick={clearSelection}
+                      className={`text-xs font-semibold ${darkMode ? "text-gray-400 hover:text-white" : "text-gray-500 hover:text-gray-800"}`}
+                    >
+                      Clear selection
+                    </button>
+                  </div>
+                ) : null}
+
+                {/* Bulk Summary */}
+                {bulkSummary && !bulkProgress && (
+                  <div className={`flex items-start justify-between gap-3 text-xs md:text-sm ${selectedUsers.length > 0 ? "mt-3" : ""} ${bulkSummary.failed.length > 0
+                    ? "text-red-600"
+                    : darkMode ? "text-green-400" : "text-green-700"
+                    }`}>
+                    <div>
+                      <p className="font-semibold">
+                        {bulkSummary.label}: {bulkSummary.succeeded} updated
+                        {bulkSummary.skipped > 0 && `, ${bulkSummary.skipped} skipped (not applicable)`}
+                        {bulkSummary.failed.length > 0 && `, ${bulkSummary.failed.length} failed`}
+                      </p>
+                      {bulkSummary.failed.length > 0 && (
+                        <ul className="mt-1 list-disc list-inside">
+                          {bulkSummary.failed.map((f, i) => (
+                            <li key={i}>{f.label}: {f.error}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                    <button onClick={() => setBulkSummary(null)} className="font-semibold opacity-75 hover:opacity-100">
+                      ✕
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Users Table */}
             <div className={`rounded-xl shadow-md border overflow-hidden transition-all duration-300 ${darkMode
               ? "bg-gray-800 border-gray-700"
@@ -536,6 +1458,15 @@ const AdminPanel = ({ onLogout }) => {
                     : "bg-gradient-to-r from-gray-50 to-gray-100"
                     }`}>
                     <tr>
+                      <th className="pl-3 md:pl-6 py-3 md:py-4 w-8">
+                        <input
+                          type="checkbox"
+                          checked={allVisibleSelected}
+                          onChange={toggleSelectAll}
+                          title="Select all on this page"
+                          className="w-4 h-4 rounded cursor-pointer"
+                        />
+                      </th>
                       <th className={`px-3 md:px-6 py-3 md:py-4 text-left text-xs font-bold uppercase tracking-wider transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-700"
                         }`}>
                         Phone
@@ -552,13 +1483,23 @@ const AdminPanel = ({ onLogout }) => {
                         }`}>
                         Date
                       </th>
+                      <th className={`px-3 md:px-6 py-3 md:py-4 text-left text-xs font-bold uppercase tracking-wider hidden lg:table-cell transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-700"
+                        }`}>
+                        Expires
+                      </th>
                       <th className={`px-3 md:px-6 py-3 md:py-4 text-center text-xs font-bold uppercase tracking-wider transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-700"
                         }`}>
                         Status
                       </th>
+                      {BLOCKED_STATUSES.includes(filter) && (
+                        <th className={`px-3 md:px-6 py-3 md:py-4 text-left text-xs font-bold uppercase tracking-wider hidden md:table-cell transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-700"
+                          }`}>
+                          Reason
+                        </th>
+                      )}
                       <th className={`px-3 md:px-6 py-3 md:py-4 text-center text-xs font-bold uppercase tracking-wider hidden md:table-cell transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-700"
                         }`}>
-                        BWA
+                        Features
                       </th>
                       <th className={`px-3 md:px-6 py-3 md:py-4 text-center text-xs font-bold uppercase tracking-wider transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-700"
                         }`}>
@@ -570,42 +1511,122 @@ const AdminPanel = ({ onLogout }) => {
                     ? "bg-gray-800 divide-gray-700"
                     : "bg-white divide-gray-100"
                     }`}>
-                    {sortedUsers.length === 0 ? (
+                    {loadingUsers && users.length === 0 ? (
                       <tr>
-                        <td colSpan="7" className="text-center py-12">
+                        <td colSpan={BLOCKED_STATUSES.includes(filter) ? 10 : 9} className="text-center py-12">
                           <div className="flex flex-col items-center justify-center">
-                            <span className="text-5xl mb-3">📭</span>
+                            <div className="h-8 w-8 rounded-full border-4 border-blue-200 border-t-blue-600 animate-spin" />
+                            <p className={`text-sm mt-3 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>Loading users...</p>
+                          </div>
+                        </td>
+                      </tr>
+                    ) : users.length === 0 ? (
+                      <tr>
+                        <td colSpan={BLOCKED_STATUSES.includes(filter) ? 10 : 9} className="text-center py-12">
+                          <div className="flex flex-col items-center justify-center">
+                            <span className="text-5xl mb-3">{usersError ? "⚠️" : "📭"}</span>
                             <p className={`text-base font-medium transition-colors duration-300 ${darkMode ? "text-gray-400" : "text-gray-500"
                               }`}>
-                              No users found in the {filter} list
+                              {usersError ? "Could not load users" : `No users found in the ${filter} list`}
                             </p>
-                            <p className={`text-sm mt-1 transition-colors duration-300 ${darkMode ? "text-gray-500" : "text-gray-400"
+                            <p className={`text-sm mt-1 max-w-xl break-words transition-colors duration-300 ${usersError ? "text-red-500" : darkMode ? "text-gray-500" : "text-gray-400"
                               }`}>
-                              {search ? "Try adjusting your search" : "Users will appear here when available"}
+                              {usersError || (search ? "Try adjusting your search" : "Users will appear here when available")}
                             </p>
                           </div>
                         </td>
                       </tr>
                     ) : (
-                      sortedUsers.map((user) => (
-                        <tr key={user.id} className={`transition-colors duration-150 ${darkMode
-                          ? "hover:bg-blue-900/20"
-                          : "hover:bg-blue-50/30"
-                          }`}>
+                      users.map((user) => (
+                        <tr
+                          key={user.id}
+                          onClick={(e) => {
+                            // Buttons, toggles and checkboxes keep their own behaviour
+                            if (e.target.closest("button, input, a, select, label")) return;
+                            setDrawerUserId(user.id);
+                          }}
+                          className={`cursor-pointer transition-colors duration-150 ${selectedIds.has(user.id)
+                            ? darkMode ? "bg-blue-900/30" : "bg-blue-50"
+                            : darkMode
+                              ? "hover:bg-blue-900/20"
+                              : "hover:bg-blue-50/30"
+                            }`}
+                        >
+                          <td className="pl-3 md:pl-6 py-3 md:py-4 w-8">
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.has(user.id)}
+                              onChange={() => toggleSelected(user.id)}
+                              className="w-4 h-4 rounded cursor-pointer"
+                            />
+                          </td>
                           <td className="px-3 md:px-6 py-3 md:py-4 whitespace-nowrap">
                             <div className="flex items-center">
                               <span className="text-lg md:text-xl mr-1 md:mr-2">📱</span>
                               <span className={`text-xs md:text-sm font-semibold transition-colors duration-300 ${darkMode ? "text-white" : "text-gray-900"
                                 }`}>{user.phone || "N/A"}</span>
+                              {isPending(user) && preapproved[normalizePhone(user.phone)] && (
+                                <span
+                                  title={`Agent ${preapproved[normalizePhone(user.phone)].agentCode || "N/A"} · imported from ${preapproved[normalizePhone(user.phone)].source || "CSV"}`}
+                                  className="ml-2 px-2 py-0.5 rounded text-xs font-semibold bg-yellow-100 text-yellow-800"
+                                >
+                                  ⭐ Pre-approved
+                                </span>
+                              )}
+                              {pageConflicts[user.id] && (
+                                <button
+                                  onClick={() => setActiveView("conflicts")}
+                                  title={pageConflicts[user.id]
+                                    .map(({ field, count }) => `${count} registrations share this ${getConflictField(field).label.toLowerCase()}`)
+                                    .join("\n")}
+                                  className="ml-2 px-2 py-0.5 rounded text-xs font-semibold bg-orange-100 text-orange-800 hover:bg-orange-200"
+                                >
+                                  ⚠️ {pageConflicts[user.id].map(({ field }) => getConflictField(field).label).join(", ")}
+                                </button>
+                              )}
+                              {tags
+                                .filter((tag) => (user.tags || []).includes(tag.id))
+                                .map((tag) => (
+                                  <span key={tag.id} className={`ml-2 px-2 py-0.5 rounded-full border text-xs font-semibold ${getTagClasses(tag.color)}`}>
+                                    {tag.label}
+                                  </span>
+                                ))}
                             </div>
                           </td>
                           <td className="px-3 md:px-6 py-3 md:py-4 whitespace-nowrap">
                             <span className={`text-xs md:text-sm font-medium transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-700"
                               }`}>{user.agentCode || "N/A"}</span>
+                            {agents && agentStatus(agents, user.agentCode) === "unknown" && (
+                              <span
+                                title="No agent with this code exists"
+                                className="ml-2 px-2 py-0.5 rounded text-xs font-semibold bg-red-100 text-red-800"
+                              >
+                                ❓ Unknown
+                              </span>
+                            )}
+                            {agents && agentStatus(agents, user.agentCode) === "disabled" && (
+                              <span
+                                title="This agent has been disabled"
+                                className="ml-2 px-2 py-0.5 rounded text-xs font-semibold bg-gray-200 text-gray-700"
+                              >
+                                ⛔ Disabled agent
+                              </span>
+                            )}
                           </td>
                           <td className={`px-3 md:px-6 py-3 md:py-4 whitespace-nowrap text-xs md:text-sm hidden sm:table-cell transition-colors duration-300 ${darkMode ? "text-gray-400" : "text-gray-500"
                             }`}>
-                            <span className="font-mono text-xs">{user.deviceId || "N/A"}</span>
+                            <button
+                              onClick={() => setDeviceUserId(user.id)}
+                              title="Device binding and history"
+                              className="font-mono text-xs hover:underline"
+                            >
+                              {user.deviceId || "N/A"}
+                              {user.deviceHistory?.length > 0 && (
+                                <span className={`ml-1.5 font-sans ${darkMode ? "text-gray-500" : "text-gray-400"}`}>
+                                  ↺{user.deviceHistory.length}
+                                </span>
+                              )}
+                            </button>
                           </td>
                           <td className={`px-3 md:px-6 py-3 md:py-4 whitespace-nowrap text-xs md:text-sm hidden lg:table-cell transition-colors duration-300 ${darkMode ? "text-gray-400" : "text-gray-500"
                             }`}>
@@ -617,71 +1638,85 @@ const AdminPanel = ({ onLogout }) => {
                               })
                               : "N/A"}
                           </td>
+                          <td className={`px-3 md:px-6 py-3 md:py-4 whitespace-nowrap text-xs md:text-sm hidden lg:table-cell transition-colors duration-300 ${daysUntil(user.expiresAt) === null
+                            ? darkMode ? "text-gray-400" : "text-gray-500"
+                            : daysUntil(user.expiresAt) < 0
+                              ? "text-red-600 font-semibold"
+                              : daysUntil(user.expiresAt) <= 7
+                                ? "text-orange-500 font-semibold"
+                                : darkMode ? "text-gray-400" : "text-gray-500"
+                            }`}>
+                            {formatDate(user.expiresAt)}
+                            {user.plan && (
+                              <span className={`block text-xs font-normal ${darkMode ? "text-gray-500" : "text-gray-400"}`}>
+                                {getPlanLabel(user.plan)}
+                              </span>
+                            )}
+                          </td>
                           <td className="px-3 md:px-6 py-3 md:py-4 whitespace-nowrap text-center">
                             <span
-                              className={`inline-flex items-center px-2 md:px-3 py-1 rounded-full text-xs font-semibold ${user.isApproved && !user.isDeactivated
-                                ? "bg-green-100 text-green-800 border border-green-200"
-                                : user.isDeactivated
-                                  ? "bg-red-100 text-red-800 border border-red-200"
-                                  : "bg-yellow-100 text-yellow-800 border border-yellow-200"
-                                }`}
+                              title={describeStatusReason(user) || undefined}
+                              className={`inline-flex items-center px-2 md:px-3 py-1 rounded-full text-xs font-semibold border ${USER_STATUSES[getUserStatus(user)].badge}`}
                             >
                               <span className="hidden md:inline">
-                                {user.isApproved && !user.isDeactivated
-                                  ? "✓ Approved"
-                                  : user.isDeactivated
-                                    ? "✗ Deactivated"
-                                    : "⏳ Pending"}
-                              </span>
-                              <span className="md:hidden">
-                                {user.isApproved && !user.isDeactivated
-                                  ? "✓"
-                                  : user.isDeactivated
-                                    ? "✗"
-                                    : "⏳"}
+                                {USER_STATUSES[getUserStatus(user)].icon} {USER_STATUSES[getUserStatus(user)].label}
                               </span>
+                              <span className="md:hidden">{USER_STATUSES[getUserStatus(user)].icon}</span>
                             </span>
                           </td>
+                          {BLOCKED_STATUSES.includes(filter) && (
+                            <td className={`px-3 md:px-6 py-3 md:py-4 text-xs md:text-sm hidden md:table-cell max-w-xs transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-700"
+                              }`}>
+                              {user.statusReason ? (
+                                <>
+                                  <span className="font-semibold">{getStatusReasonLabel(user.statusReason)}</span>
+                                  {user.statusNote && (
+                                    <span className={`block text-xs truncate ${darkMode ? "text-gray-400" : "text-gray-500"}`} title={user.statusNote}>
+                                      {user.statusNote}
+                                    </span>
+                                  )}
+                                </>
+                              ) : (
+                                <span className={darkMode ? "text-gray-500" : "text-gray-400"}>—</span>
+                              )}
+                            </td>
+                          )}
 
-                          {/* WhatsApp Toggle Column */}
+                          {/* Feature Entitlements Column */}
                           <td className="px-3 md:px-6 py-3 md:py-4 whitespace-nowrap text-center hidden md:table-cell">
                             <button
-                              onClick={() => handleToggleWhatsApp(user.id, user.whatsappEnabled)}
-                              className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 ${user.whatsappEnabled
-                                ? "bg-green-500"
-                                : darkMode
-                                  ? "bg-gray-600"
-                                  : "bg-gray-300"
-                                }`}
-                              title={user.whatsappEnabled ? "WhatsApp Enabled" : "WhatsApp Disabled"}
+                              onClick={(e) => setFeaturePopover({ userId: user.id, anchor: e.currentTarget.getBoundingClientRect() })}
+                              title={FEATURES.map((f) => `${f.label}: ${hasFeature(user, f.key) ? "on" : "off"}`).join("\n")}
+                              className="inline-flex gap-1 rounded-lg p-1 hover:ring-2 hover:ring-blue-400 transition-all"
                             >
-                              <span
-                                className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform duration-200 ${user.whatsappEnabled ? "translate-x-6" : "translate-x-1"
-                                  }`}
-                              />
+                              {FEATURES.map((f) => (
+                                <span
+                                  key={f.key}
+                                  className={`px-1.5 py-0.5 rounded text-[10px] font-bold ${hasFeature(user, f.key)
+                                    ? "bg-green-500 text-white"
+                                    : darkMode ? "bg-gray-700 text-gray-500" : "bg-gray-100 text-gray-400"
+                                    }`}
+                                >
+                                  {f.short}
+                                </span>
+                              ))}
                             </button>
-                            <div className={`text-xs mt-1 font-medium ${user.whatsappEnabled
-                              ? "text-green-600"
-                              : darkMode ? "text-gray-400" : "text-gray-500"
-                              }`}>
-                              {user.whatsappEnabled ? "ON" : "OFF"}
-                            </div>
                           </td>
 
                           <td className="px-4 md:px-6 py-4 whitespace-nowrap text-center">
                             <div className="flex justify-center gap-1 md:gap-2 flex-wrap">
                               {/* Pending users: Approve/Reject */}
-                              {!user.isApproved && !user.isDeactivated && (
+                              {isPending(user) && can(PERMISSIONS.REVIEW_USERS) && (
                                 <>
                                   <button
-                                    onClick={() => handleApprove(user.id)}
+                                    onClick={() => setExpiryAction({ mode: "approve", user })}
                                     className="text-white bg-green-500 hover:bg-green-600 font-semibold px-2 md:px-4 py-1 md:py-1.5 rounded-lg text-xs transition-all shadow-sm hover:shadow-md"
                                   >
                                     <span className="hidden sm:inline">✓ Approve</span>
                                     <span className="sm:hidden">✓</span>
                                   </button>
                                   <button
-                                    onClick={() => handleReject(user.id)}
+                                    onClick={() => setReasonAction({ mode: "reject", user })}
                                     className="text-white bg-red-500 hover:bg-red-600 font-semibold px-2 md:px-4 py-1 md:py-1.5 rounded-lg text-xs transition-all shadow-sm hover:shadow-md"
                                   >
                                     <span className="hidden sm:inline">✗ Reject</span>
@@ -690,10 +1725,10 @@ const AdminPanel = ({ onLogout }) => {
                                 </>
                               )}
 
-                              {/* Active users: Deactivate */}
-                              {user.isActive && !user.isDeactivated && (
+                              {/* Approved users: Deactivate */}
+                              {canTransition(user, "suspended") && can(PERMISSIONS.MANAGE_USERS) && (
                                 <button
-                                  onClick={() => handleDeactivate(user.id)}
+                                  onClick={() => setReasonAction({ mode: "deactivate", user })}
                                   className="text-white bg-orange-500 hover:bg-orange-600 font-semibold px-2 md:px-4 py-1 md:py-1.5 rounded-lg text-xs transition-all shadow-sm hover:shadow-md"
                                 >
                                   <span className="hidden sm:inline">⏸ Deactivate</span>
@@ -701,10 +1736,33 @@ const AdminPanel = ({ onLogout }) => {
                                 </button>
                               )}
 
-                              {/* Deactivated users: Activate */}
-                              {user.isDeactivated && (
+                              {/* Approved users: Extend / Set expiry */}
+                              {isApproved(user) && can(PERMISSIONS.MANAGE_USERS) && (
+                                <>
+                                  <button
+                                    onClick={() => setExpiryAction({ mode: "extend", user })}
+                                    className="text-white bg-indigo-500 hover:bg-indigo-600 font-semibold px-2 md:px-4 py-1 md:py-1.5 rounded-lg text-xs transition-all shadow-sm hover:shadow-md"
+                                  >
+                                    <span className="hidden sm:inline">⏩ Extend</span>
+                                    <span className="sm:hidden">⏩</span>
+                                  </button>
+                                  <button
+                                    onClick={() => setExpiryAction({ mode: "custom", user })}
+                                    title="Set custom expiry date"
+                                    className={`font-semibold px-2 md:px-3 py-1 md:py-1.5 rounded-lg text-xs transition-all shadow-sm hover:shadow-md ${darkMode
+                                      ? "bg-gray-700 hover:bg-gray-600 text-gray-200"
+                                      : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+                                      }`}
+                                  >
+                                    📅
+                                  </button>
+                                </>
+                              )}
+
+                              {/* Rejected, suspended or expired users: Activate */}
+                              {!isLive(user) && can(PERMISSIONS.MANAGE_USERS) && (
                                 <button
-                                  onClick={() => handleActivate(user.id)}
+                                  onClick={() => setExpiryAction({ mode: "activate", user })}
                                   className="text-white bg-blue-500 hover:bg-blue-600 font-semibold px-2 md:px-4 py-1 md:py-1.5 rounded-lg text-xs transition-all shadow-sm hover:shadow-md"
                                 >
                                   <span className="hidden sm:inline">▶ Activate</span>
@@ -721,24 +1779,137 @@ const AdminPanel = ({ onLogout }) => {
               </div>
 
               {/* Table Footer with Count */}
-              {sortedUsers.length > 0 && (
-                <div className={`px-4 md:px-6 py-3 border-t transition-colors duration-300 ${darkMode
+              {users.length > 0 && (
+                <div className={`flex flex-col sm:flex-row sm:items-center justify-between gap-3 px-4 md:px-6 py-3 border-t transition-colors duration-300 ${darkMode
                   ? "bg-gray-700 border-gray-600"
                   : "bg-gray-50 border-gray-200"
                   }`}>
                   <p className={`text-xs md:text-sm transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-600"
                     }`}>
-                    Showing <span className={`font-semibold transition-colors duration-300 ${darkMode ? "text-white" : "text-gray-900"
-                      }`}>{sortedUsers.length}</span> of{" "}
-                    <span className={`font-semibold transition-colors duration-300 ${darkMode ? "text-white" : "text-gray-900"
-                      }`}>{filteredUsers.length}</span> {filter} users
+                    {searchTerm ? (
+                      <>
+                        <span className={`font-semibold transition-colors duration-300 ${darkMode ? "text-white" : "text-gray-900"
+                          }`}>{users.length}</span> {filter} users starting with "{searchTerm}"
+                      </>
+                    ) : (
+                      <>
+                        Showing <span className={`font-semibold transition-colors duration-300 ${darkMode ? "text-white" : "text-gray-900"
+                          }`}>{pageIndex * PAGE_SIZE + 1}–{pageIndex * PAGE_SIZE + users.length}</span> of{" "}
+                        <span className={`font-semibold transition-colors duration-300 ${darkMode ? "text-white" : "text-gray-900"
+                          }`}>{tabCount}</span> {filter} users{activeFilterCount > 0 && " matching filters"}
+                      </>
+                    )}
                   </p>
+
+                  {/* Page Controls */}
+                  {!searchTerm && (pageIndex > 0 || hasNextPage) && (
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={goToPreviousPage}
+                        disabled={pageIndex === 0}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all disabled:opacity-40 disabled:cursor-not-allowed ${darkMode
+                          ? "bg-gray-600 hover:bg-gray-500 text-white"
+                          : "bg-white hover:bg-gray-100 text-gray-700 border border-gray-300"
+                          }`}
+                      >
+                        ← Previous
+                      </button>
+                      <span className={`text-xs ${darkMode ? "text-gray-300" : "text-gray-600"}`}>Page {pageIndex + 1}</span>
+                      <button
+                        onClick={goToNextPage}
+                        disabled={!hasNextPage}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all disabled:opacity-40 disabled:cursor-not-allowed ${darkMode
+                          ? "bg-gray-600 hover:bg-gray-500 text-white"
+                          : "bg-white hover:bg-gray-100 text-gray-700 border border-gray-300"
+                          }`}
+                      >
+                        Next →
+                      </button>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
           </>
         )}
       </div>
+
+      {/* Export options */}
+      {showExport && (
+        <ExportModal
+          darkMode={darkMode}
+          description={searchTerm
+            ? `${users.length} ${filter} users starting with "${searchTerm}"`
+            : `All ${tabCount} ${filter} users${activeFilterCount > 0 ? ` (${describeFilters(filters)})` : ""}, ${filter === "expiring" ? "soonest expiry first" : dateSort === "desc" ? "newest first" : "oldest first"}`}
+          onExport={handleExport}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {/* User details */}
+      {drawerUser && (
+        <UserDrawer
+          darkMode={darkMode}
+          admin={admin}
+          user={drawerUser}
+          tags={tags}
+          can={can}
+          onAction={handleDrawerAction}
+          onApproveRequest={handleApproveRequest}
+          onRejectRequest={handleRejectRequest}
+          onClose={() => setDrawerUserId(null)}
+        />
+      )}
+
+      {/* Device binding */}
+      {deviceUserId && [...users, drawerUser].some((u) => u?.id === deviceUserId) && (
+        <DeviceModal
+          darkMode={darkMode}
+          user={[...users, drawerUser].find((u) => u?.id === deviceUserId)}
+          canManage={can(PERMISSIONS.MANAGE_USERS)}
+          onReset={() => handleResetDevice(deviceUserId)}
+          onTransfer={(deviceId) => handleTransferDevice(deviceUserId, deviceId)}
+          onClose={() => setDeviceUserId(null)}
+        />
+      )}
+
+      {/* Feature entitlements */}
+      {featurePopover && (featurePopover.bulk || [...users, drawerUser].some((u) => u?.id === featurePopover.userId)) && (
+        <FeaturePopover
+          darkMode={darkMode}
+          users={featurePopover.bulk ? selectedUsers : [[...users, drawerUser].find((u) => u?.id === featurePopover.userId)]}
+          matchingCount={featurePopover.bulk && selectAllMatching ? tabCount : null}
+          anchor={featurePopover.anchor}
+          canEdit={can(PERMISSIONS.MANAGE_FEATURES)}
+          busy={!!bulkProgress}
+          onChange={handleFeatureChange}
+          onClose={() => setFeaturePopover(null)}
+        />
+      )}
+
+      {/* Rejection / deactivation reason */}
+      {reasonAction && (
+        <ReasonModal
+          darkMode={darkMode}
+          mode={reasonAction.mode}
+          user={reasonAction.user}
+          count={!reasonAction.bulk ? 1 : selectAllMatching ? `up to ${tabCount}` : selectedUsers.filter(bulkActions[reasonAction.mode].eligible).length}
+          onConfirm={handleReasonConfirm}
+          onClose={() => setReasonAction(null)}
+        />
+      )}
+
+      {/* Plan / expiry picker */}
+      {expiryAction && (
+        <ExpiryModal
+          darkMode={darkMode}
+          mode={expiryAction.mode}
+          user={expiryAction.user}
+          count={!expiryAction.bulk ? 1 : selectAllMatching ? `up to ${tabCount}` : selectedUsers.filter(bulkActions[expiryAction.mode].eligible).length}
+          onConfirm={handleExpiryConfirm}
+          onClose={() => setExpiryAction(null)}
+        />
+      )}
     </div>
   );
 };
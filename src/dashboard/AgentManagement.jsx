@@ -0,0 +1,397 @@
+import React, { useEffect, useState } from "react";
+import { collection, onSnapshot, doc } from "firebase/firestore";
+import { db } from "../firebase";
+import { PERMISSIONS, hasPermission } from "../utils/roles";
+import { auditedUpdate, auditedWrite } from "../utils/audit";
+import { agentDocId, isValidAgentCode } from "../utils/agents";
+import { fetchAgentUserCounts } from "../utils/userQueries";
+import { runUserMigration } from "../utils/userMigration";
+import AgentReport from "./AgentReport";
+
+const EMPTY_FORM = { code: "", name: "", region: "", contact: "" };
+
+const AgentManagement = ({ darkMode, admin, onViewUsers }) => {
+  const [agents, setAgents] = useState([]);
+  const [counts, setCounts] = useState({}); // { [agentId]: { pending, approved, active } }
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [search, setSearch] = useState("");
+  const [showDisabled, setShowDisabled] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [migrating, setMigrating] = useState(false);
+
+  const canManage = hasPermission(admin, PERMISSIONS.MANAGE_AGENTS);
+  const canMigrate = hasPermission(admin, PERMISSIONS.MANAGE_USERS);
+
+  // Real-time listener for agents
+  useEffect(() => {
+    const unsubscribe = onSnapshot(collection(db, "agents"), (snapshot) => {
+      const list = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      list.sort((a, b) => a.id.localeCompare(b.id));
+      setAgents(list);
+    }, (error) => console.error("Error loading agents:", error));
+    return () => unsubscribe();
+  }, []);
+
+  // Per-agent user counts, fetched once per agent (Refresh clears them)
+  useEffect(() => {
+    const missing = agents.filter((a) => !(a.id in counts));
+    if (missing.length === 0) return;
+    let cancelled = false;
+    Promise.all(missing.map((a) => fetchAgentUserCounts(a.id)))
+      .then((results) => {
+        if (cancelled) return;
+        setCounts((prev) => ({
+          ...prev,
+          ...Object.fromEntries(missing.map((a, i) => [a.id, results[i]])),
+        }));
+      })
+      .catch((error) => console.error("Error loading agent counts:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [agents, counts]);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setError("");
+  };
+
+  // 🔹 Create a new agent or save edits to an existing one
+  const handleSave = async () => {
+    setError("");
+    const id = editingId || agentDocId(form.code);
+    const details = {
+      name: form.name.trim(),
+      region: form.region.trim(),
+      contact: form.contact.trim(),
+    };
+
+    if (!editingId && !isValidAgentCode(id)) {
+      setError("Agent code must be 2-32 letters, digits, - or _");
+      return;
+    }
+    if (!editingId && agents.some((a) => a.id === id)) {
+      setError("An agent with this code already exists");
+      return;
+    }
+    if (!details.name) {
+      setError("Enter the agent's name");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await auditedUpdate(admin, "agent.update", doc(db, "agents", id), {
+          ...details,
+          updatedAt: new Date(),
+          updatedBy: admin.email,
+        }, id);
+      } else {
+        await auditedWrite(admin, "agent.create", [{
+          ref: doc(db, "agents", id),
+          type: "set",
+          label: id,
+          changes: {
+            code: id,
+            ...details,
+            disabled: false,
+            createdAt: new Date(),
+            createdBy: admin.email,
+          },
+        }]);
+      }
+      resetForm();
+    } catch (err) {
+      console.error("Error saving agent:", err);
+      setError(err.message);
+    }
+    setSaving(false);
+  };
+
+  const handleEdit = (agent) => {
+    setEditingId(agent.id);
+    setForm({ code: agent.id, name: agent.name || "", region: agent.region || "", contact: agent.contact || "" });
+    setError("");
+  };
+
+  // 🔹 Run the user migration (utils/userMigration), which also rewrites
+  // agent codes in agent id form so counts and the users filter (exact
+  // matches) include codes typed in lower case or with spaces
+  const handleMigrateUsers = async () => {
+    if (!window.confirm("Migrate users, including upper-casing and trimming every agent code? This reads all users.")) return;
+    setMigrating(true);
+    try {
+      const migrated = await runUserMigration(admin);
+      alert(`✅ Migrated ${migrated} user(s)`);
+      setCounts({});
+    } catch (error) {
+      console.error("Error migrating users:", error);
+      alert("❌ Failed to migrate users: " + error.message);
+    }
+    setMigrating(false);
+  };
+
+  // 🔹 Disable / re-enable an agent
+  const handleToggleDisabled = async (agent) => {
+    if (!agent.disabled && !window.confirm(`Disable agent ${agent.id}? Registrations with this code will be flagged.`)) return;
+    try {
+      await auditedUpdate(admin, "agent.toggle", doc(db, "agents", agent.id), {
+        disabled: !agent.disabled,
+        updatedAt: new Date(),
+        updatedBy: admin.email,
+      }, agent.id);
+    } catch (error) {
+      console.error("Error toggling agent:", error);
+      alert("❌ Failed to update agent");
+    }
+  };
+
+  const query = search.trim().toLowerCase();
+  const visibleAgents = agents.filter((a) => {
+    if (a.disabled && !showDisabled) return false;
+    if (!query) return true;
+    return [a.id, a.name, a.region].some((v) => (v || "").toLowerCase().includes(query));
+  });
+
+  const inputClass = `w-full px-4 py-2 rounded-lg border text-sm ${darkMode
+    ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+    : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+    }`;
+
+  const reportToggle = (
+    <button
+      onClick={() => setShowReport(!showReport)}
+      className={`print:hidden whitespace-nowrap px-4 py-2 rounded-lg text-sm font-semibold transition-all ${darkMode
+        ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+        : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+        }`}
+    >
+      {showReport ? "← Back to agents" : "📊 Commission report"}
+    </button>
+  );
+
+  if (showReport) {
+    return (
+      <div className="space-y-4">
+        {reportToggle}
+        <AgentReport darkMode={darkMode} admin={admin} agents={agents} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Agent Form */}
+      {canManage && (
+        <div className={`rounded-xl shadow-md p-6 border transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+          }`}>
+          <h2 className={`text-xl font-bold mb-4 flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"
+            }`}>
+            <span className="text-2xl">🏷️</span>
+            {editingId ? `Edit Agent ${editingId}` : "Add Agent"}
+          </h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <input
+              type="text"
+              value={form.code}
+              onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+              placeholder="Agent code"
+              disabled={saving || !!editingId}
+              className={`${inputClass} font-mono disabled:opacity-60`}
+            />
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name"
+              disabled={saving}
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={form.region}
+              onChange={(e) => setForm({ ...form, region: e.target.value })}
+              placeholder="Region"
+              disabled={saving}
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={form.contact}
+              onChange={(e) => setForm({ ...form, contact: e.target.value })}
+              placeholder="Contact (phone or email)"
+              disabled={saving}
+              className={inputClass}
+            />
+          </div>
+          {error && <p className="text-red-500 text-xs mt-2">{error}</p>}
+          <div className="flex justify-end gap-2 mt-4">
+            {editingId && (
+              <button
+                onClick={resetForm}
+                disabled={saving}
+                className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${darkMode
+                  ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                  : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+                  }`}
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-all shadow-sm"
+            >
+              {saving ? "⏳ Saving..." : editingId ? "Save Changes" : "Add Agent"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Agents Table */}
+      <div className={`rounded-xl shadow-md border overflow-hidden transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+        }`}>
+        <div className="p-4 md:p-6 pb-4 flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <div>
+            <h2 className={`text-xl font-bold ${darkMode ? "text-white" : "text-gray-900"}`}>
+              Agents ({agents.length})
+            </h2>
+            <p className={`text-xs mt-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+              User counts match the code exactly. The app stores codes as typed, so registrations with the code in lower case
+              or with spaces, including new ones, are only counted once users are migrated again.
+            </p>
+          </div>
+          <div className="flex flex-col md:flex-row md:items-center gap-3">
+            <label className={`flex items-center gap-2 text-sm cursor-pointer ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+              <input
+                type="checkbox"
+                checked={showDisabled}
+                onChange={(e) => setShowDisabled(e.target.checked)}
+                className="w-4 h-4 rounded"
+              />
+              Show disabled
+            </label>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search code, name or region..."
+              className={`${inputClass} md:w-64`}
+            />
+            {reportToggle}
+            <button
+              onClick={() => setCounts({})}
+              className={`whitespace-nowrap px-4 py-2 rounded-lg text-sm font-semibold transition-all ${darkMode
+                ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+                }`}
+            >
+              🔄 Refresh counts
+            </button>
+            {canMigrate && (
+              <button
+                onClick={handleMigrateUsers}
+                disabled={migrating}
+                title="Run the user migration, which upper-cases and trims agent codes on registrations"
+                className={`whitespace-nowrap px-4 py-2 rounded-lg text-sm font-semibold transition-all disabled:opacity-50 ${darkMode
+                  ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                  : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+                  }`}
+              >
+                {migrating ? "⏳ Migrating..." : "🧹 Migrate users"}
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className={darkMode ? "bg-gray-700" : "bg-gray-50"}>
+              <tr>
+                {["Code", "Name", "Region", "Contact", "Pending", "Approved", "Active", "Actions"].map((heading) => (
+                  <th
+                    key={heading}
+                    className={`px-4 md:px-6 py-3 text-left text-xs font-bold uppercase tracking-wider ${darkMode ? "text-gray-300" : "text-gray-700"
+                      }`}
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className={`divide-y ${darkMode ? "bg-gray-800 divide-gray-700" : "bg-white divide-gray-100"}`}>
+              {visibleAgents.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className={`px-6 py-12 text-center ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                    <div className="text-5xl mb-3">🏷️</div>
+                    <p className="text-lg font-medium">No agents found</p>
+                  </td>
+                </tr>
+              ) : (
+                visibleAgents.map((agent) => (
+                  <tr key={agent.id} className={agent.disabled ? "opacity-60" : ""}>
+                    <td className={`px-4 md:px-6 py-3 text-sm font-mono font-semibold whitespace-nowrap ${darkMode ? "text-white" : "text-gray-900"}`}>
+                      {agent.id}
+                      {agent.disabled && (
+                        <span className="ml-2 px-2 py-0.5 rounded text-xs font-sans font-semibold bg-red-100 text-red-800">Disabled</span>
+                      )}
+                    </td>
+                    <td className={`px-4 md:px-6 py-3 text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>{agent.name || "—"}</td>
+                    <td className={`px-4 md:px-6 py-3 text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>{agent.region || "—"}</td>
+                    <td className={`px-4 md:px-6 py-3 text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>{agent.contact || "—"}</td>
+                    {["pending", "approved", "active"].map((key) => (
+                      <td key={key} className={`px-4 md:px-6 py-3 text-sm font-semibold ${darkMode ? "text-white" : "text-gray-900"}`}>
+                        {counts[agent.id]?.[key] ?? "…"}
+                      </td>
+                    ))}
+                    <td className="px-4 md:px-6 py-3 whitespace-nowrap">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => onViewUsers(agent.id)}
+                          className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1.5 rounded-lg text-xs font-semibold transition-all shadow-sm"
+                        >
+                          👥 Users
+                        </button>
+                        {canManage && (
+                          <>
+                            <button
+                              onClick={() => handleEdit(agent)}
+                              className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${darkMode
+                                ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                                : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+                                }`}
+                            >
+                              ✎ Edit
+                            </button>
+                            <button
+                              onClick={() => handleToggleDisabled(agent)}
+                              className={`px-3 py-1.5 rounded-lg text-xs font-semibold text-white transition-all shadow-sm ${agent.disabled
+                                ? "bg-green-500 hover:bg-green-600"
+                                : "bg-red-500 hover:bg-red-600"
+                                }`}
+                            >
+                              {agent.disabled ? "▶ Enable" : "⏸ Disable"}
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AgentManagement;
@@ -0,0 +1,264 @@
+import React, { useEffect, useRef, useState } from "react";
+import { collection, doc, getDocs, onSnapshot } from "firebase/firestore";
+import { db } from "../firebase";
+import { auditedWrite } from "../utils/audit";
+import { PERMISSIONS, hasPermission } from "../utils/roles";
+import { REPORT_COLUMNS, buildAgentReport } from "../utils/agentReport";
+import { startOfDay, endOfDay } from "../utils/userFilters";
+import { downloadCsv } from "../utils/csv";
+
+// YYYY-MM-DD in local time, for date inputs
+const toInputDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+const PERIOD_PRESETS = {
+  thisMonth: {
+    label: "This month",
+    range: (now) => [new Date(now.getFullYear(), now.getMonth(), 1), now],
+  },
+  lastMonth: {
+    label: "Last month",
+    range: (now) => [new Date(now.getFullYear(), now.getMonth() - 1, 1), new Date(now.getFullYear(), now.getMonth(), 0)],
+  },
+  last30: {
+    label: "Last 30 days",
+    range: (now) => [new Date(now.getFullYear(), now.getMonth(), now.getDate() - 29), now],
+  },
+};
+
+const formatMoney = (value, currency) => `${currency ? `${currency} ` : ""}${value.toFixed(2)}`;
+
+// Commission report: activity per agent over a period and the payout at
+// the configured rate per activation (stored in app_config/commission)
+const AgentReport = ({ darkMode, admin, agents }) => {
+  const [from, setFrom] = useState(() => toInputDate(PERIOD_PRESETS.thisMonth.range(new Date())[0]));
+  const [to, setTo] = useState(() => toInputDate(new Date()));
+  const [users, setUsers] = useState(null); // null until generated
+  const [generatedAt, setGeneratedAt] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [config, setConfig] = useState({ ratePerActivation: 0, currency: "" });
+  const [rateInput, setRateInput] = useState("");
+  const [currencyInput, setCurrencyInput] = useState("");
+  const [savingRate, setSavingRate] = useState(false);
+  const seededRef = useRef({ rate: "", currency: "" }); // Input values last taken from the saved settings
+
+  const canEditRate = hasPermission(admin, PERMISSIONS.MANAGE_AGENTS);
+
+  // Real-time listener for the commission settings. Inputs follow it only
+  // while they hold the last saved value, so edits in progress aren't lost.
+  useEffect(() => {
+    const unsubscribe = onSnapshot(doc(db, "app_config", "commission"), (snapshot) => {
+      const data = snapshot.exists() ? snapshot.data() : {};
+      const next = { ratePerActivation: Number(data.ratePerActivation) || 0, currency: data.currency || "" };
+      const previous = seededRef.current;
+      const seed = { rate: String(next.ratePerActivation), currency: next.currency };
+      seededRef.current = seed;
+      setConfig(next);
+      setRateInput((current) => (current === previous.rate ? seed.rate : current));
+      setCurrencyInput((current) => (current === previous.currency ? seed.currency : current));
+    }, (error) => console.error("Error loading commission settings:", error));
+    return () => unsubscribe();
+  }, []);
+
+  const applyPreset = (key) => {
+    const [start, end] = PERIOD_PRESETS[key].range(new Date());
+    setFrom(toInputDate(start));
+    setTo(toInputDate(end));
+  };
+
+  // 🔹 Read every registration (on demand: this reads the whole users collection)
+  const handleGenerate = async () => {
+    setLoading(true);
+    try {
+      const snapshot = await getDocs(collection(db, "users"));
+      setUsers(snapshot.docs.map((d) => d.data()));
+      setGeneratedAt(new Date());
+    } catch (error) {
+      console.error("Error generating agent report:", error);
+      alert("❌ Failed to load users: " + error.message);
+    }
+    setLoading(false);
+  };
+
+  // 🔹 Save the commission rate
+  const handleSaveRate = async () => {
+    const rate = Number(rateInput);
+    if (!Number.isFinite(rate) || rate < 0) {
+      alert("❌ Enter a valid commission rate");
+      return;
+    }
+    setSavingRate(true);
+    try {
+      await auditedWrite(admin, "config.commission", [{
+        ref: doc(db, "app_config", "commission"),
+        type: "set",
+        label: "Commission rate",
+        changes: {
+          ratePerActivation: rate,
+          currency: currencyInput.trim().toUpperCase(),
+          updatedAt: new Date(),
+          updatedBy: admin.email,
+        },
+      }]);
+    } catch (error) {
+      console.error("Error saving commission rate:", error);
+      alert("❌ Failed to save commission rate");
+    }
+    setSavingRate(false);
+  };
+
+  const period = { from: startOfDay(from), to: endOfDay(to) };
+  const report = users && from && to ? buildAgentReport(users, period, config.ratePerActivation) : null;
+  const agentName = (code) => agents.find((a) => a.id === code)?.name || "";
+
+  // 🔹 Payout sheet as CSV
+  const handleExportCsv = () => {
+    const header = ["Agent code", "Agent name", ...REPORT_COLUMNS.map((c) => c.label), `Commission${config.currency ? ` (${config.currency})` : ""}`];
+    const toRow = (row) => [
+      row.agentCode,
+      row === report.totals ? "" : agentName(row.agentCode),
+      ...REPORT_COLUMNS.map((c) => row[c.key]),
+      row.commission.toFixed(2),
+    ];
+    downloadCsv([header, ...report.rows.map(toRow), toRow(report.totals)], `agent-commission-${from}-to-${to}.csv`);
+  };
+
+  const inputClass = `border px-3 py-2 rounded-lg text-sm ${darkMode
+    ? "bg-gray-700 border-gray-600 text-white"
+    : "bg-white border-gray-300 text-gray-900"
+    }`;
+  const secondaryButton = `px-4 py-2 rounded-lg text-sm font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed ${darkMode
+    ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+    : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+    }`;
+
+  return (
+    <div className="space-y-6">
+      {/* Report Settings */}
+      <div className={`print:hidden rounded-xl shadow-md p-4 md:p-6 border transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+        }`}>
+        <h2 className={`text-xl font-bold mb-4 flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"}`}>
+          <span className="text-2xl">📊</span>
+          Agent Commission Report
+        </h2>
+
+        <div className="flex flex-col lg:flex-row lg:items-end gap-4">
+          <div>
+            <p className={`text-xs font-bold uppercase mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>Period</p>
+            <div className="flex flex-wrap gap-2">
+              <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+              <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+              {Object.entries(PERIOD_PRESETS).map(([key, preset]) => (
+                <button key={key} onClick={() => applyPreset(key)} className={secondaryButton}>
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <p className={`text-xs font-bold uppercase mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>Rate per activation</p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={currencyInput}
+                onChange={(e) => setCurrencyInput(e.target.value)}
+                placeholder="Currency"
+                disabled={!canEditRate || savingRate}
+                className={`${inputClass} w-24`}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={rateInput}
+                onChange={(e) => setRateInput(e.target.value)}
+                disabled={!canEditRate || savingRate}
+                className={`${inputClass} w-28`}
+              />
+              {canEditRate && (
+                <button
+                  onClick={handleSaveRate}
+                  disabled={savingRate || (Number(rateInput) === config.ratePerActivation && currencyInput.trim().toUpperCase() === config.currency)}
+                  className={secondaryButton}
+                >
+                  {savingRate ? "⏳" : "Save"}
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="flex gap-2 lg:ml-auto">
+            <button
+              onClick={handleGenerate}
+              disabled={loading}
+              className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-all shadow-sm"
+            >
+              {loading ? "⏳ Loading..." : generatedAt ? "🔄 Regenerate" : "Generate"}
+            </button>
+            <button onClick={() => window.print()} disabled={!report} className={secondaryButton}>
+              🖨 Print
+            </button>
+            <button onClick={handleExportCsv} disabled={!report} className={secondaryButton}>
+              ⬇️ CSV
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Report */}
+      {report && (
+        <div className={`rounded-xl shadow-md border overflow-hidden transition-all duration-300 print:shadow-none print:border-0 ${darkMode ? "bg-gray-800 border-gray-700 print:bg-white" : "bg-white border-gray-100"
+          }`}>
+          <div className="p-4 md:p-6 pb-3">
+            <h3 className={`text-lg font-bold ${darkMode ? "text-white print:text-black" : "text-gray-900"}`}>
+              Agent activity {from} to {to}
+            </h3>
+            <p className={`text-xs mt-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+              {formatMoney(config.ratePerActivation, config.currency)} per activation · generated {generatedAt.toLocaleString()} by {admin.email}
+            </p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className={darkMode ? "bg-gray-700 print:bg-white" : "bg-gray-50"}>
+                <tr>
+                  {["Agent", ...REPORT_COLUMNS.map((c) => c.label), "Commission"].map((heading) => (
+                    <th
+                      key={heading}
+                      className={`px-4 md:px-6 py-3 text-left text-xs font-bold uppercase tracking-wider ${darkMode ? "text-gray-300 print:text-black" : "text-gray-700"
+                        }`}
+                    >
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className={`divide-y ${darkMode ? "divide-gray-700" : "divide-gray-100"}`}>
+                {[...report.rows, report.totals].map((row) => (
+                  <tr key={row.agentCode} className={row === report.totals ? "font-bold" : ""}>
+                    <td className={`px-4 md:px-6 py-2 text-sm whitespace-nowrap ${darkMode ? "text-white print:text-black" : "text-gray-900"}`}>
+                      <span className="font-mono">{row.agentCode}</span>
+                      {row !== report.totals && agentName(row.agentCode) && (
+                        <span className={`ml-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>{agentName(row.agentCode)}</span>
+                      )}
+                    </td>
+                    {REPORT_COLUMNS.map((c) => (
+                      <td key={c.key} className={`px-4 md:px-6 py-2 text-sm ${darkMode ? "text-gray-300 print:text-black" : "text-gray-700"}`}>
+                        {row[c.key]}
+                      </td>
+                    ))}
+                    <td className={`px-4 md:px-6 py-2 text-sm whitespace-nowrap ${darkMode ? "text-white print:text-black" : "text-gray-900"}`}>
+                      {formatMoney(row.commission, config.currency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AgentReport;
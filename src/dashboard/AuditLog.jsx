@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from "react";
+import { collection, onSnapshot, getDocs, query, where, orderBy, limit, startAfter } from "firebase/firestore";
+import { db } from "../firebase";
+import { AUDIT_ACTIONS, getActionLabel, formatAuditValue } from "../utils/audit";
+import { toDate as toJsDate } from "../utils/dates";
+
+// Entries per page. Admin, action and date filters run in the query (see
+// firestore.indexes.json); the target search applies to the loaded entries.
+const PAGE_SIZE = 100;
+
+const auditConstraints = ({ adminEmail, action, fromDate, toDate }) => {
+  const constraints = [];
+  if (adminEmail) constraints.push(where("adminEmail", "==", adminEmail));
+  if (action) constraints.push(where("action", "==", action));
+  if (fromDate) constraints.push(where("createdAt", ">=", new Date(`${fromDate}T00:00:00`)));
+  if (toDate) constraints.push(where("createdAt", "<=", new Date(`${toDate}T23:59:59.999`)));
+  return [collection(db, "admin_audit"), ...constraints, orderBy("createdAt", "desc")];
+};
+
+// Newest first; entries whose server timestamp is still pending sort on top
+const byNewest = (a, b) => (toJsDate(b.entry.createdAt) || Infinity) - (toJsDate(a.entry.createdAt) || Infinity);
+
+const AuditLog = ({ darkMode }) => {
+  const [loaded, setLoaded] = useState({}); // { [id]: { entry, snapshot } }, entries are append-only
+  const [hasMore, setHasMore] = useState(null); // null until the first page arrives
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [queryError, setQueryError] = useState("");
+  const [admins, setAdmins] = useState([]);
+  const [adminInput, setAdminInput] = useState("");
+  const [adminFilter, setAdminFilter] = useState(""); // Applied on Enter / blur, not per keystroke
+  const [actionFilter, setActionFilter] = useState("");
+  const [targetSearch, setTargetSearch] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+
+  // Current admin accounts, to suggest in the admin filter
+  useEffect(() => {
+    const unsubscribe = onSnapshot(collection(db, "admins"), (snapshot) => {
+      setAdmins(snapshot.docs.map((d) => d.data().email || d.id));
+    }, (error) => console.error("Error loading admins:", error));
+    return () => unsubscribe();
+  }, []);
+
+  const filters = { adminEmail: adminFilter, action: actionFilter, fromDate, toDate };
+
+  // Real-time listener for the newest page matching the filters. Older
+  // pages are added by "Load more"; since entries are never changed or
+  // removed, everything loaded stays listed.
+  useEffect(() => {
+    setLoaded({});
+    setHasMore(null);
+    setQueryError("");
+    const q = query(
+      ...auditConstraints({ adminEmail: adminFilter, action: actionFilter, fromDate, toDate }),
+      limit(PAGE_SIZE)
+    );
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setLoaded((prev) => ({
+        ...prev,
+        ...Object.fromEntries(snapshot.docs.map((d) => [d.id, { entry: { id: d.id, ...d.data() }, snapshot: d }])),
+      }));
+      setHasMore((prev) => (prev === null ? snapshot.size === PAGE_SIZE : prev));
+    }, (error) => {
+      console.error("Error loading audit log:", error);
+      setQueryError(error.message);
+    });
+    return () => unsubscribe();
+  }, [adminFilter, actionFilter, fromDate, toDate]);
+
+  const sorted = Object.values(loaded).sort(byNewest);
+  const entries = sorted.map((item) => item.entry);
+
+  // 🔹 Fetch the page after the oldest loaded entry
+  const handleLoadMore = async () => {
+    const oldest = sorted[sorted.length - 1];
+    if (!oldest) return;
+    setLoadingMore(true);
+    try {
+      const snapshot = await getDocs(query(...auditConstraints(filters), startAfter(oldest.snapshot), limit(PAGE_SIZE)));
+      setLoaded((prev) => ({
+        ...prev,
+        ...Object.fromEntries(snapshot.docs.map((d) => [d.id, { entry: { id: d.id, ...d.data() }, snapshot: d }])),
+      }));
+      setHasMore(snapshot.size === PAGE_SIZE);
+    } catch (error) {
+      console.error("Error loading older audit entries:", error);
+      setQueryError(error.message);
+    }
+    setLoadingMore(false);
+  };
+
+  const adminEmails = [...new Set([...admins, ...entries.map((e) => e.adminEmail)].filter(Boolean))].sort();
+
+  const filteredEntries = entries.filter((e) => {
+    if (targetSearch) {
+      const q = targetSearch.toLowerCase();
+      const label = (e.targetLabel || "").toLowerCase();
+      const id = (e.targetId || "").toLowerCase();
+      if (!label.includes(q) && !id.includes(q)) return false;
+    }
+    return true;
+  });
+
+  const inputClass = `border px-3 py-2 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 transition-all duration-200 ${darkMode
+    ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+    : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+    }`;
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className={`rounded-xl shadow-md p-4 md:p-6 border transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+        }`}>
+        <h2 className={`text-xl font-bold mb-4 flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"
+          }`}>
+          <span className="text-2xl">📋</span>
+          Audit Log
+        </h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+          <input
+            type="text"
+            list="audit-admin-emails"
+            value={adminInput}
+            onChange={(e) => setAdminInput(e.target.value)}
+            onBlur={() => setAdminFilter(adminInput.trim())}
+            onKeyDown={(e) => e.key === "Enter" && setAdminFilter(adminInput.trim())}
+            placeholder="All admins (exact email)"
+            className={inputClass}
+          />
+          <datalist id="audit-admin-emails">
+            {adminEmails.map((email) => (
+              <option key={email} value={email} />
+            ))}
+          </datalist>
+          <select value={actionFilter} onChange={(e) => setActionFilter(e.target.value)} className={`${inputClass} cursor-pointer`}>
+            <option value="">All actions</option>
+            {Object.entries(AUDIT_ACTIONS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={targetSearch}
+            onChange={(e) => setTargetSearch(e.target.value)}
+            placeholder="Target phone or ID (loaded entries)..."
+            className={inputClass}
+          />
+          <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className={inputClass} title="From" />
+          <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} className={inputClass} title="To" />
+        </div>
+
+        {queryError && (
+          <p className="text-red-500 text-sm mt-3">
+            ❌ Could not load the audit log: {queryError}
+          </p>
+        )}
+      </div>
+
+      {/* Entries */}
+      <div className={`rounded-xl shadow-md border overflow-hidden transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+        }`}>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className={darkMode ? "bg-gray-700" : "bg-gray-50"}>
+              <tr>
+                {["When", "Admin", "Action", "Target", "Changes"].map((heading) => (
+                  <th
+                    key={heading}
+                    className={`px-6 py-3 text-left text-xs font-bold uppercase tracking-wider ${darkMode ? "text-gray-300" : "text-gray-700"
+                      }`}
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className={`divide-y ${darkMode ? "bg-gray-800 divide-gray-700" : "bg-white divide-gray-100"
+              }`}>
+              {filteredEntries.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="text-center py-12">
+                    <span className="text-5xl mb-3 block">📭</span>
+                    <p className={`text-base font-medium ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                      No audit entries match these filters
+                    </p>
+                  </td>
+                </tr>
+              ) : (
+                filteredEntries.map((entry) => {
+                  const fields = Object.keys({ ...entry.before, ...entry.after });
+                  return (
+                    <tr key={entry.id} className={darkMode ? "hover:bg-gray-700" : "hover:bg-gray-50"}>
+                      <td className={`px-6 py-4 whitespace-nowrap text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                        {formatAuditValue(entry.createdAt)}
+                      </td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${darkMode ? "text-white" : "text-gray-900"}`}>
+                        {entry.adminEmail}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="px-2 py-0.5 rounded text-xs font-semibold bg-blue-100 text-blue-800">
+                          {getActionLabel(entry.action)}
+                        </span>
+                      </td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                        <p className="font-semibold">{entry.targetLabel || entry.targetId}</p>
+                        <p className={`text-xs font-mono ${darkMode ? "text-gray-500" : "text-gray-400"}`}>
+                          {entry.targetCollection}/{entry.targetId}
+                        </p>
+                      </td>
+                      <td className={`px-6 py-4 text-xs ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                        {fields.length === 0 ? (
+                          entry.after === null ? "Deleted" : "—"
+                        ) : (
+                          fields.map((field) => (
+                            <p key={field}>
+                              <span className="font-semibold">{field}:</span>{" "}
+                              <span className="text-red-500 line-through">{formatAuditValue(entry.before?.[field])}</span>
+                              {" → "}
+                              <span className="text-green-600">{formatAuditValue(entry.after?.[field])}</span>
+                            </p>
+                          ))
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className={`px-4 md:px-6 py-3 border-t text-xs md:text-sm ${darkMode ? "bg-gray-700 border-gray-600 text-gray-300" : "bg-gray-50 border-gray-200 text-gray-600"
+          }`}>
+          <div className="flex items-center justify-between gap-3">
+            <span>
+              Showing {filteredEntries.length} of {entries.length} loaded entries
+              {hasMore && " (older entries not loaded yet)"}
+            </span>
+            {hasMore && (
+              <button
+                onClick={handleLoadMore}
+                disabled={loadingMore}
+                className="px-3 py-1 rounded-lg text-xs font-semibold bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white transition-all"
+              >
+                {loadingMore ? "⏳ Loading..." : `Load ${PAGE_SIZE} more`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
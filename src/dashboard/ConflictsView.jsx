@@ -0,0 +1,219 @@
+import React, { useState } from "react";
+import { collection, doc, getDocs } from "firebase/firestore";
+import { db } from "../firebase";
+import { auditedBatch, BULK_CHUNK_SIZE } from "../utils/audit";
+import { CONFLICT_FIELDS, DEFAULT_CONFLICT_FIELDS, getConflictField, groupConflicts } from "../utils/conflicts";
+import { buildUserChanges } from "../utils/userActions";
+import { USER_STATUSES, getUserStatus, isLive } from "../utils/userStatus";
+import { FEATURES, hasFeature } from "../utils/features";
+import { PERMISSIONS, hasPermission } from "../utils/roles";
+import { formatDate } from "../utils/dates";
+import { getPlanLabel } from "../utils/plans";
+
+// Rows of the side-by-side comparison
+const COMPARE_ROWS = [
+  { key: "phone", label: "Phone" },
+  { key: "agentCode", label: "Agent code" },
+  { key: "deviceId", label: "Device ID" },
+  { key: "createdAt", label: "Registered", format: formatDate },
+  { key: "status", label: "Status" },
+  { key: "plan", label: "Plan", format: (plan) => (plan ? getPlanLabel(plan) : "—") },
+  { key: "expiresAt", label: "Expires", format: formatDate },
+  ...FEATURES.map((f) => ({ key: `features.${f.key}`, label: f.label, value: (u) => (hasFeature(u, f.key) ? "On" : "Off") })),
+];
+
+const statusOf = (user) => {
+  if (!isLive(user) && user.statusReason === "duplicate") return "✗ Duplicate";
+  const { icon, label } = USER_STATUSES[getUserStatus(user)];
+  return `${icon} ${label}`;
+};
+
+// A group is resolved once at most one of its registrations is still live
+const isResolved = (group) => group.users.filter(isLive).length <= 1;
+
+const ConflictsView = ({ darkMode, admin }) => {
+  const [users, setUsers] = useState(null); // null until the first scan
+  const [scanning, setScanning] = useState(false);
+  const [scannedAt, setScannedAt] = useState(null);
+  const [fields, setFields] = useState(DEFAULT_CONFLICT_FIELDS);
+  const [hideResolved, setHideResolved] = useState(true);
+  const [keeping, setKeeping] = useState(null); // `${groupKey}:${userId}` while saving
+
+  const canResolve = hasPermission(admin, PERMISSIONS.MANAGE_USERS);
+
+  // 🔹 Read every registration and group the duplicates (on demand: this
+  // reads the whole users collection)
+  const handleScan = async () => {
+    setScanning(true);
+    try {
+      const snapshot = await getDocs(collection(db, "users"));
+      setUsers(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+      setScannedAt(new Date());
+    } catch (error) {
+      console.error("Error scanning for conflicts:", error);
+      alert("❌ Failed to scan users: " + error.message);
+    }
+    setScanning(false);
+  };
+
+  // 🔹 Keep one registration and deactivate the others in the group
+  const handleKeep = async (group, keeper) => {
+    const others = group.users.filter((u) => u.id !== keeper.id && isLive(u));
+    if (others.length === 0) return;
+    if (!window.confirm(`Keep ${keeper.phone || keeper.id} and deactivate ${others.length} other registration(s)?`)) return;
+
+    const changes = buildUserChanges(admin).duplicate(keeper.id);
+    setKeeping(`${group.field}:${group.value}:${keeper.id}`);
+    const deactivated = new Set();
+    try {
+      // Batched in chunks: a large group can exceed the 500-write limit
+      for (let i = 0; i < others.length; i += BULK_CHUNK_SIZE) {
+        const chunk = others.slice(i, i + BULK_CHUNK_SIZE);
+        await auditedBatch(admin, "user.duplicate", chunk.map((u) => ({
+          ref: doc(db, "users", u.id),
+          current: u,
+          changes,
+          label: u.phone || null,
+        })));
+        chunk.forEach((u) => deactivated.add(u.id));
+      }
+    } catch (error) {
+      console.error("Error resolving conflict:", error);
+      alert(`❌ Failed to deactivate duplicates (${deactivated.size} of ${others.length} done): ` + error.message);
+    }
+    // Reflect the committed chunks locally instead of re-reading the collection
+    setUsers((prev) => prev.map((u) => (deactivated.has(u.id) ? { ...u, ...changes(u) } : u)));
+    setKeeping(null);
+  };
+
+  const allGroups = users ? groupConflicts(users, fields) : [];
+  const groups = hideResolved ? allGroups.filter((g) => !isResolved(g)) : allGroups;
+
+  return (
+    <div className="space-y-6">
+      {/* Scan Controls */}
+      <div className={`rounded-xl shadow-md p-4 md:p-6 border transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+        }`}>
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+          <div>
+            <h2 className={`text-xl font-bold flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"}`}>
+              <span className="text-2xl">⚠️</span>
+              Conflicts
+            </h2>
+            <p className={`text-sm mt-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+              {scannedAt
+                ? `${allGroups.length} group(s) found in ${users.length} registrations · scanned ${scannedAt.toLocaleTimeString()}`
+                : "Registrations sharing a device or phone (or agent code, if shown). Scanning reads every user."}
+            </p>
+          </div>
+          <button
+            onClick={handleScan}
+            disabled={scanning}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-semibold transition-all shadow-sm hover:shadow-md"
+          >
+            {scanning ? "⏳ Scanning..." : scannedAt ? "🔄 Rescan" : "🔍 Scan for conflicts"}
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mt-4">
+          {CONFLICT_FIELDS.map((f) => (
+            <label key={f.key} className={`flex items-center gap-2 text-sm cursor-pointer ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+              <input
+                type="checkbox"
+                checked={fields.includes(f.key)}
+                onChange={() => setFields((prev) => (prev.includes(f.key) ? prev.filter((k) => k !== f.key) : [...prev, f.key]))}
+                className="w-4 h-4 rounded"
+              />
+              {f.icon} Shared {f.label.toLowerCase()}
+              {f.optIn && <span className={`text-xs ${darkMode ? "text-gray-500" : "text-gray-400"}`}>(often expected)</span>}
+            </label>
+          ))}
+          <label className={`flex items-center gap-2 text-sm cursor-pointer md:ml-auto ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+            <input
+              type="checkbox"
+              checked={hideResolved}
+              onChange={(e) => setHideResolved(e.target.checked)}
+              className="w-4 h-4 rounded"
+            />
+            Hide resolved groups
+          </label>
+        </div>
+      </div>
+
+      {users && groups.length === 0 && (
+        <div className={`rounded-xl shadow-md p-12 border text-center ${darkMode ? "bg-gray-800 border-gray-700 text-gray-400" : "bg-white border-gray-100 text-gray-500"
+          }`}>
+          <div className="text-5xl mb-3">✅</div>
+          <p className="text-lg font-medium">No conflicts found</p>
+        </div>
+      )}
+
+      {/* Conflict Groups */}
+      {groups.map((group) => {
+        const field = getConflictField(group.field);
+        const groupKey = `${group.field}:${group.value}`;
+        return (
+          <div key={groupKey} className={`rounded-xl shadow-md border overflow-hidden transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+            }`}>
+            <div className={`px-4 md:px-6 py-3 flex items-center justify-between gap-3 border-b ${darkMode ? "bg-gray-700 border-gray-600" : "bg-orange-50 border-orange-100"
+              }`}>
+              <p className={`text-sm font-semibold ${darkMode ? "text-white" : "text-gray-900"}`}>
+                {field.icon} {group.users.length} registrations share {field.label.toLowerCase()}{" "}
+                <span className="font-mono">{group.value}</span>
+              </p>
+              {field.reviewOnly ? (
+                <span className={`text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>Review only: agents register many users</span>
+              ) : isResolved(group) && (
+                <span className="px-2 py-0.5 rounded text-xs font-semibold bg-green-100 text-green-800">✓ Resolved</span>
+              )}
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <tbody className={`divide-y ${darkMode ? "divide-gray-700" : "divide-gray-100"}`}>
+                  {COMPARE_ROWS.map((row) => (
+                    <tr key={row.key} className={row.key === group.field ? darkMode ? "bg-orange-900/20" : "bg-orange-50/60" : ""}>
+                      <th className={`px-4 md:px-6 py-2 text-left text-xs font-bold uppercase whitespace-nowrap ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                        {row.label}
+                      </th>
+                      {group.users.map((u) => (
+                        <td key={u.id} className={`px-4 md:px-6 py-2 text-sm whitespace-nowrap ${!isLive(u)
+                          ? darkMode ? "text-gray-500" : "text-gray-400"
+                          : darkMode ? "text-gray-200" : "text-gray-800"
+                          }`}>
+                          {row.key === "status"
+                            ? statusOf(u)
+                            : row.value ? row.value(u) : row.format ? row.format(u[row.key]) : u[row.key] || "—"}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                  {canResolve && !field.reviewOnly && !isResolved(group) && (
+                    <tr>
+                      <td />
+                      {group.users.map((u) => (
+                        <td key={u.id} className="px-4 md:px-6 py-3">
+                          {isLive(u) && (
+                            <button
+                              onClick={() => handleKeep(group, u)}
+                              disabled={!!keeping}
+                              className="bg-green-500 hover:bg-green-600 disabled:bg-gray-400 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg text-xs font-semibold transition-all shadow-sm"
+                            >
+                              {keeping === `${groupKey}:${u.id}` ? "⏳ Saving..." : "✓ Keep this one"}
+                            </button>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ConflictsView;
@@ -0,0 +1,179 @@
+import React, { useState } from "react";
+import { collection, getDocs, query, where, limit } from "firebase/firestore";
+import { db } from "../firebase";
+import { toDate } from "../utils/dates";
+
+// Device binding of one user: current deviceId, reset / transfer actions
+// and the history of previous IDs. Transfers go through a confirmation
+// step that also warns when the new ID is bound to another registration.
+const DeviceModal = ({ darkMode, user, canManage, onReset, onTransfer, onClose }) => {
+  const [newDeviceId, setNewDeviceId] = useState("");
+  const [confirming, setConfirming] = useState(null); // { deviceId, boundTo: [] } for a transfer
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const history = [...(user.deviceHistory || [])].reverse();
+
+  // Look up the target ID before asking for confirmation
+  const handleReviewTransfer = async () => {
+    const deviceId = newDeviceId.trim();
+    if (!deviceId || deviceId === user.deviceId) return;
+    setError("");
+    setSaving(true);
+    try {
+      const snapshot = await getDocs(query(collection(db, "users"), where("deviceId", "==", deviceId), limit(5)));
+      setConfirming({
+        deviceId,
+        boundTo: snapshot.docs.filter((d) => d.id !== user.id).map((d) => d.data().phone || d.id),
+      });
+    } catch (err) {
+      console.error("Error checking device:", err);
+      setError(err.message);
+    }
+    setSaving(false);
+  };
+
+  const run = async (action) => {
+    setError("");
+    setSaving(true);
+    try {
+      await action();
+      setConfirming(null);
+      setNewDeviceId("");
+    } catch (err) {
+      console.error("Error updating device:", err);
+      setError(err.message);
+    }
+    setSaving(false);
+  };
+
+  const handleReset = () => {
+    if (!window.confirm(`Clear the device binding of ${user.phone || "this user"}? The app will register the next device it is opened on.`)) return;
+    run(onReset);
+  };
+
+  const secondaryButton = `px-4 py-2 rounded-lg text-sm font-semibold transition-all ${darkMode
+    ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+    : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+    }`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className={`w-full max-w-lg rounded-xl shadow-2xl p-6 border ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+          }`}
+      >
+        <h2 className={`text-xl font-bold mb-1 ${darkMode ? "text-white" : "text-gray-900"}`}>
+          📲 Device Binding
+        </h2>
+        <p className={`text-sm mb-4 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+          {user.phone || "N/A"} · Agent {user.agentCode || "N/A"}
+        </p>
+
+        {/* Current Device */}
+        <div className={`p-3 rounded-lg border mb-4 ${darkMode ? "bg-gray-700 border-gray-600" : "bg-gray-50 border-gray-200"}`}>
+          <p className={`text-xs font-bold uppercase mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>Current device</p>
+          <p className={`font-mono text-sm break-all ${darkMode ? "text-white" : "text-gray-900"}`}>
+            {user.deviceId || <span className="italic text-gray-400">Not bound, the next app launch registers a device</span>}
+          </p>
+        </div>
+
+        {/* Reset / Transfer */}
+        {canManage && !confirming && (
+          <div className="space-y-3 mb-4">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newDeviceId}
+                onChange={(e) => setNewDeviceId(e.target.value)}
+                placeholder="New device ID"
+                disabled={saving}
+                className={`flex-1 px-3 py-2 rounded-lg border text-sm font-mono ${darkMode
+                  ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+                  : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+                  }`}
+              />
+              <button
+                onClick={handleReviewTransfer}
+                disabled={saving || !newDeviceId.trim() || newDeviceId.trim() === user.deviceId}
+                className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-all shadow-sm"
+              >
+                ⇄ Transfer
+              </button>
+            </div>
+            {user.deviceId && (
+              <button
+                onClick={handleReset}
+                disabled={saving}
+                className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-orange-500 hover:bg-orange-600 disabled:bg-gray-400 transition-all shadow-sm"
+              >
+                ↺ Reset device
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Transfer Confirmation */}
+        {confirming && (
+          <div className={`p-3 rounded-lg border mb-4 text-sm ${darkMode ? "bg-blue-900/20 border-blue-700 text-blue-200" : "bg-blue-50 border-blue-200 text-blue-900"
+            }`}>
+            <p className="font-semibold mb-1">Move this account to a new device?</p>
+            <p className="font-mono text-xs break-all">{user.deviceId || "(none)"} → {confirming.deviceId}</p>
+            {confirming.boundTo.length > 0 && (
+              <p className="mt-2 text-orange-600 font-semibold">
+                ⚠️ This device is already bound to {confirming.boundTo.join(", ")}
+              </p>
+            )}
+            <div className="flex justify-end gap-2 mt-3">
+              <button onClick={() => setConfirming(null)} disabled={saving} className={secondaryButton}>
+                Back
+              </button>
+              <button
+                onClick={() => run(() => onTransfer(confirming.deviceId))}
+                disabled={saving}
+                className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 transition-all shadow-sm"
+              >
+                {saving ? "⏳ Saving..." : "Confirm transfer"}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {error && <p className="text-red-500 text-xs mb-3">{error}</p>}
+
+        {/* History */}
+        <p className={`text-xs font-bold uppercase mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>History</p>
+        {history.length === 0 ? (
+          <p className={`text-sm ${darkMode ? "text-gray-400" : "text-gray-500"}`}>No device changes recorded.</p>
+        ) : (
+          <ul className={`max-h-60 overflow-y-auto divide-y text-sm ${darkMode ? "divide-gray-700" : "divide-gray-100"}`}>
+            {history.map((entry, i) => (
+              <li key={i} className="py-2">
+                <div className="flex justify-between gap-3">
+                  <span className={`font-semibold ${darkMode ? "text-white" : "text-gray-900"}`}>
+                    {entry.type === "reset" ? "↺ Reset" : "⇄ Transfer"}
+                  </span>
+                  <span className={`text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                    {toDate(entry.at)?.toLocaleString() || "—"} · {entry.by}
+                  </span>
+                </div>
+                <p className={`font-mono text-xs break-all ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                  {entry.previousDeviceId || "(none)"} → {entry.deviceId || "(none)"}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-end mt-6">
+          <button onClick={onClose} disabled={saving} className={secondaryButton}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceModal;
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { PLANS, DEFAULT_PLAN_ID, getPlan, extendExpiry, addMonths } from "../utils/plans";
+import { formatDate, toDate } from "../utils/dates";
+
+const TITLES = {
+  approve: "✓ Approve User",
+  activate: "▶ Activate User",
+  extend: "⏩ Extend Subscription",
+  custom: "📅 Set Expiry Date",
+};
+
+// Plan picker / date picker shown before any change to a user's expiresAt.
+// mode: approve | activate | extend | custom. Without a `user` it applies
+// to `count` bulk-selected users.
+const ExpiryModal = ({ darkMode, mode, user, count = 1, onConfirm, onClose }) => {
+  const [planId, setPlanId] = useState(user?.plan && getPlan(user.plan) ? user.plan : DEFAULT_PLAN_ID);
+  const [customDate, setCustomDate] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const plan = getPlan(planId);
+  const isCustom = mode === "custom";
+
+  // Extensions stack on remaining time; approve/activate start from today
+  const newExpiry = isCustom
+    ? customDate ? new Date(`${customDate}T23:59:59`) : null
+    : mode === "extend"
+      ? user ? extendExpiry(user.expiresAt, plan) : null
+      : addMonths(new Date(), plan.months);
+
+  // Plan modes always have a plan selected; custom needs a date
+  const canConfirm = !isCustom || !!newExpiry;
+
+  const handleConfirm = async () => {
+    if (!canConfirm) return;
+    setSaving(true);
+    await onConfirm(isCustom ? { expiresAt: newExpiry } : { planId });
+    setSaving(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className={`w-full max-w-md rounded-xl shadow-2xl p-6 border ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+          }`}
+      >
+        <h2 className={`text-xl font-bold mb-1 ${darkMode ? "text-white" : "text-gray-900"}`}>
+          {TITLES[mode]}
+        </h2>
+        <p className={`text-sm mb-4 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+          {user
+            ? `${user.phone || "N/A"} · Agent ${user.agentCode || "N/A"} · Current expiry ${formatDate(user.expiresAt)}`
+            : `${count} selected user(s)`}
+        </p>
+
+        {isCustom ? (
+          <input
+            type="date"
+            value={customDate}
+            onChange={(e) => setCustomDate(e.target.value)}
+            disabled={saving}
+            className={`w-full px-4 py-2 rounded-lg border text-sm ${darkMode
+              ? "bg-gray-700 border-gray-600 text-white"
+              : "bg-white border-gray-300 text-gray-900"
+              }`}
+          />
+        ) : (
+          <div className="grid grid-cols-3 gap-2">
+            {PLANS.map((p) => (
+              <button
+                key={p.id}
+                onClick={() => setPlanId(p.id)}
+                disabled={saving}
+                className={`px-3 py-3 rounded-lg border text-sm font-semibold transition-all ${planId === p.id
+                  ? "bg-blue-600 border-blue-600 text-white shadow-md"
+                  : darkMode
+                    ? "bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600"
+                    : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+                  }`}
+              >
+                {p.label}
+                <span className="block text-xs font-normal opacity-75">
+                  {p.months} {p.months === 1 ? "month" : "months"}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <p className={`text-sm mt-4 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+          {mode === "extend" && !user ? (
+            <>Each user gets <strong>+{plan.months} {plan.months === 1 ? "month" : "months"}</strong> on their current expiry</>
+          ) : (
+            <>New expiry: <strong>{newExpiry ? formatDate(newExpiry) : "—"}</strong></>
+          )}
+          {toDate(user?.expiresAt) > new Date() && mode === "extend" && (
+            <span className={`block text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+              Added on top of the remaining subscription
+            </span>
+          )}
+        </p>
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${darkMode
+              ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+              : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+              }`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={saving || !canConfirm}
+            className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-all shadow-sm"
+          >
+            {saving ? "⏳ Saving..." : "Confirm"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExpiryModal;
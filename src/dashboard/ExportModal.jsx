@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { EXPORT_COLUMNS, DATE_FORMATS } from "../utils/exportUsers";
+
+// Column / date format choices are remembered between exports
+const loadSaved = (key, fallback) => {
+  const saved = localStorage.getItem(key);
+  return saved ? JSON.parse(saved) : fallback;
+};
+
+// Columns offered before the export remembered deselected ones
+const LEGACY_COLUMN_KEYS = ["phone", "agentCode", "deviceId", "createdAt", "status", "whatsappEnabled", "expiresAt"];
+
+// Columns the admin turned off. Storing these rather than the chosen ones
+// lets columns added in later releases show up selected.
+const loadHiddenColumns = () => {
+  const hidden = loadSaved("exportHiddenColumns", null);
+  if (hidden) return hidden;
+  // Older saves listed the chosen columns, out of the ones that existed then
+  const legacy = loadSaved("exportColumns", null);
+  return legacy ? LEGACY_COLUMN_KEYS.filter((key) => !legacy.includes(key)) : [];
+};
+
+const ExportModal = ({ darkMode, description, onExport, onClose }) => {
+  const [hiddenColumns, setHiddenColumns] = useState(loadHiddenColumns);
+  const columns = EXPORT_COLUMNS.map((c) => c.key).filter((key) => !hiddenColumns.includes(key));
+  const [dateFormat, setDateFormat] = useState(() => loadSaved("exportDateFormat", "date"));
+  const [exporting, setExporting] = useState(null); // csv | xlsx while running
+  const [error, setError] = useState("");
+
+  const toggleColumn = (key) => {
+    setHiddenColumns((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  };
+
+  const handleExport = async (format) => {
+    setError("");
+    setExporting(format);
+    localStorage.setItem("exportHiddenColumns", JSON.stringify(hiddenColumns));
+    localStorage.removeItem("exportColumns");
+    localStorage.setItem("exportDateFormat", JSON.stringify(dateFormat));
+    try {
+      await onExport({ format, columns, dateFormat });
+      onClose();
+    } catch (err) {
+      console.error("Error exporting users:", err);
+      setError(err.message);
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className={`w-full max-w-md rounded-xl shadow-2xl p-6 border ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+          }`}
+      >
+        <h2 className={`text-xl font-bold mb-1 ${darkMode ? "text-white" : "text-gray-900"}`}>
+          ⬇️ Export Users
+        </h2>
+        <p className={`text-sm mb-4 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>{description}</p>
+
+        {/* Columns */}
+        <p className={`text-xs font-bold uppercase mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>Columns</p>
+        <div className="grid grid-cols-2 gap-2 mb-4">
+          {EXPORT_COLUMNS.map((column) => (
+            <label
+              key={column.key}
+              className={`flex items-center gap-2 text-sm cursor-pointer ${darkMode ? "text-gray-300" : "text-gray-700"}`}
+            >
+              <input
+                type="checkbox"
+                checked={columns.includes(column.key)}
+                onChange={() => toggleColumn(column.key)}
+                disabled={!!exporting}
+                className="w-4 h-4 rounded"
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+
+        {/* Date Format */}
+        <p className={`text-xs font-bold uppercase mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>Date format</p>
+        <select
+          value={dateFormat}
+          onChange={(e) => setDateFormat(e.target.value)}
+          disabled={!!exporting}
+          className={`w-full border px-3 py-2 rounded-lg text-sm cursor-pointer ${darkMode
+            ? "bg-gray-700 border-gray-600 text-white"
+            : "bg-white border-gray-300 text-gray-900"
+            }`}
+        >
+          {Object.entries(DATE_FORMATS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+
+        {error && <p className="text-red-500 text-xs mt-3">{error}</p>}
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button
+            onClick={onClose}
+            disabled={!!exporting}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${darkMode
+              ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+              : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+              }`}
+          >
+            Cancel
+          </button>
+          {["csv", "xlsx"].map((format) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={!!exporting || columns.length === 0}
+              className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-all shadow-sm"
+            >
+              {exporting === format ? "⏳ Exporting..." : format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportModal;
@@ -0,0 +1,92 @@
+import React, { useEffect } from "react";
+import { FEATURES, hasFeature } from "../utils/features";
+
+const POPOVER_WIDTH = 288;
+// Rough height, to keep the popover on screen near the bottom edge
+const POPOVER_HEIGHT = 60 + FEATURES.length * 48;
+
+// Feature switches for one user, or enable / disable buttons for a bulk
+// selection, positioned under the element that opened it (`anchor` is its
+// bounding rect). `matchingCount` is set when the selection is a whole tab
+// that isn't loaded, so there are no per-feature counts.
+const FeaturePopover = ({ darkMode, users, matchingCount = null, anchor, canEdit, busy, onChange, onClose }) => {
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const single = matchingCount === null && users.length === 1 ? users[0] : null;
+  const matching = matchingCount !== null;
+  const top = Math.max(8, Math.min(anchor.bottom + 8, window.innerHeight - POPOVER_HEIGHT - 8));
+  const left = Math.max(8, Math.min(anchor.left, window.innerWidth - POPOVER_WIDTH - 8));
+
+  return (
+    <div className="fixed inset-0 z-50" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{ top, left, width: POPOVER_WIDTH }}
+        className={`fixed rounded-xl shadow-2xl border p-3 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+      >
+        <p className={`text-xs font-semibold uppercase mb-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+          {single
+            ? `Features · ${single.phone || "N/A"}`
+            : matching ? `Features · ${matchingCount} matching` : `Features · ${users.length} selected`}
+        </p>
+        <div className="space-y-1">
+          {FEATURES.map((feature) => {
+            const enabledCount = users.filter((u) => hasFeature(u, feature.key)).length;
+            return (
+              <div key={feature.key} className="flex items-center justify-between gap-3 py-1.5">
+                <span className={`text-sm ${darkMode ? "text-gray-200" : "text-gray-800"}`}>
+                  {feature.icon} {feature.label}
+                  {!single && !matching && (
+                    <span className={`block text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                      {enabledCount} of {users.length} on
+                    </span>
+                  )}
+                </span>
+                {single ? (
+                  <button
+                    onClick={() => onChange(feature.key, !hasFeature(single, feature.key))}
+                    disabled={!canEdit || busy}
+                    className={`relative inline-flex h-6 w-11 shrink-0 items-center rounded-full transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${hasFeature(single, feature.key)
+                      ? "bg-green-500"
+                      : darkMode ? "bg-gray-600" : "bg-gray-300"
+                      }`}
+                    title={hasFeature(single, feature.key) ? "Enabled" : "Disabled"}
+                  >
+                    <span
+                      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform duration-200 ${hasFeature(single, feature.key) ? "translate-x-6" : "translate-x-1"
+                        }`}
+                    />
+                  </button>
+                ) : (
+                  <div className="flex gap-1 shrink-0">
+                    <button
+                      onClick={() => onChange(feature.key, true)}
+                      disabled={!canEdit || busy || (!matching && enabledCount === users.length)}
+                      className="px-2 py-1 rounded-lg text-xs font-semibold text-white bg-green-500 hover:bg-green-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      {matching ? "On" : `On (${users.length - enabledCount})`}
+                    </button>
+                    <button
+                      onClick={() => onChange(feature.key, false)}
+                      disabled={!canEdit || busy || (!matching && enabledCount === 0)}
+                      className="px-2 py-1 rounded-lg text-xs font-semibold text-white bg-gray-500 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      {matching ? "Off" : `Off (${enabledCount})`}
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FeaturePopover;
@@ -0,0 +1,210 @@
+import React, { useState } from "react";
+import { FEATURES, getFeature, getRequestFeatureKey, hasFeature } from "../utils/features";
+import { daysSince, toDate } from "../utils/dates";
+
+// Pending requests older than this many days are flagged (adjustable in the inbox)
+const DEFAULT_STALE_DAYS = 3;
+
+const loadStaleDays = () => {
+  const saved = Number(localStorage.getItem("requestStaleDays"));
+  return saved > 0 ? saved : DEFAULT_STALE_DAYS;
+};
+
+// Inbox of `feature_requests` for every feature, filterable by feature and
+// status and sortable by age
+const FeatureRequests = ({ darkMode, requests, requestUsers, canManage, onApprove, onReject, onClose }) => {
+  const [featureFilter, setFeatureFilter] = useState(""); // "" = all features
+  const [statusFilter, setStatusFilter] = useState("pending"); // "" = any status
+  const [sort, setSort] = useState("oldest"); // oldest | newest
+  const [staleDays, setStaleDays] = useState(loadStaleDays);
+
+  const isStale = (request) => request.status === "pending" && daysSince(request.requestedAt) >= staleDays;
+
+  const visible = requests
+    .filter((r) => !featureFilter || getRequestFeatureKey(r) === featureFilter)
+    .filter((r) => !statusFilter || r.status === statusFilter)
+    .sort((a, b) => {
+      const diff = (toDate(a.requestedAt) || 0) - (toDate(b.requestedAt) || 0);
+      return sort === "oldest" ? diff : -diff;
+    });
+  const staleCount = requests.filter(isStale).length;
+
+  const handleStaleDaysChange = (value) => {
+    const days = Math.max(1, Number(value) || DEFAULT_STALE_DAYS);
+    setStaleDays(days);
+    localStorage.setItem("requestStaleDays", String(days));
+  };
+
+  const inputClass = `border px-3 py-1.5 rounded-lg text-sm ${darkMode
+    ? "bg-gray-700 border-gray-600 text-white"
+    : "bg-white border-gray-300 text-gray-900"
+    }`;
+
+  return (
+    <div className={`rounded-xl shadow-md p-4 md:p-6 mb-6 border transition-all duration-300 ${darkMode
+      ? "bg-gray-800 border-gray-700"
+      : "bg-white border-gray-100"
+      }`}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className={`text-lg md:text-xl font-bold transition-colors duration-300 ${darkMode ? "text-white" : "text-gray-900"
+          }`}>
+          📧 Feature Requests
+          {staleCount > 0 && (
+            <span className="ml-2 align-middle px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-800">
+              {staleCount} pending over {staleDays} day(s)
+            </span>
+          )}
+        </h2>
+        <button
+          onClick={onClose}
+          className={`px-3 py-1 rounded-lg text-sm font-semibold transition-all duration-200 ${darkMode
+            ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+            : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+            }`}
+        >
+          Close
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <select value={featureFilter} onChange={(e) => setFeatureFilter(e.target.value)} className={`${inputClass} cursor-pointer`}>
+          <option value="">All features</option>
+          {FEATURES.map((f) => (
+            <option key={f.key} value={f.key}>{f.icon} {f.label}</option>
+          ))}
+        </select>
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={`${inputClass} cursor-pointer`}>
+          <option value="">Any status</option>
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+        </select>
+        <select value={sort} onChange={(e) => setSort(e.target.value)} className={`${inputClass} cursor-pointer`}>
+          <option value="oldest">Oldest first</option>
+          <option value="newest">Newest first</option>
+        </select>
+        <label className={`flex items-center gap-2 text-sm ${darkMode ? "text-gray-300" : "text-gray-600"}`}>
+          Flag pending after
+          <input
+            type="number"
+            min="1"
+            value={staleDays}
+            onChange={(e) => handleStaleDaysChange(e.target.value)}
+            className={`${inputClass} w-20`}
+          />
+          days
+        </label>
+      </div>
+
+      {visible.length === 0 ? (
+        <div className="text-center py-8">
+          <span className="text-4xl mb-2 block">📭</span>
+          <p className={`text-sm transition-colors duration-300 ${darkMode ? "text-gray-400" : "text-gray-500"
+            }`}>
+            {requests.length === 0 ? "No feature requests yet" : "No requests match these filters"}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {visible.map((request) => {
+            const user = requestUsers[request.userId];
+            const feature = getFeature(getRequestFeatureKey(request));
+            const age = daysSince(request.requestedAt);
+            return (
+              <div
+                key={request.id}
+                className={`p-4 rounded-lg border transition-all duration-200 ${request.status === "pending"
+                  ? darkMode
+                    ? "bg-yellow-900/20 border-yellow-700"
+                    : "bg-yellow-50 border-yellow-200"
+                  : request.status === "approved"
+                    ? darkMode
+                      ? "bg-green-900/20 border-green-700"
+                      : "bg-green-50 border-green-200"
+                    : darkMode
+                      ? "bg-red-900/20 border-red-700"
+                      : "bg-red-50 border-red-200"
+                  }`}
+              >
+                <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-2 mb-2">
+                      <span className="text-2xl">{feature?.icon || "❔"}</span>
+                      <div>
+                        <p className={`font-semibold text-sm md:text-base transition-colors duration-300 ${darkMode ? "text-white" : "text-gray-900"
+                          }`}>
+                          {request.userPhone || user?.phone || "Unknown User"}
+                          <span className={`ml-2 px-2 py-0.5 rounded text-xs font-semibold ${darkMode ? "bg-gray-700 text-gray-200" : "bg-gray-100 text-gray-700"}`}>
+                            {feature?.label || `Unknown feature "${request.featureKey}"`}
+                          </span>
+                        </p>
+                        <p className={`text-xs transition-colors duration-300 ${darkMode ? "text-gray-400" : "text-gray-500"
+                          }`}>
+                          Agent: {user?.agentCode || "N/A"}
+                          {feature && user && hasFeature(user, feature.key) && request.status === "pending" && " · already enabled"}
+                        </p>
+                      </div>
+                    </div>
+                    {request.message && (
+                      <p className={`text-xs md:text-sm mb-2 transition-colors duration-300 ${darkMode ? "text-gray-300" : "text-gray-700"
+                        }`}>
+                        {request.message}
+                      </p>
+                    )}
+                    <p className={`text-xs transition-colors duration-300 ${darkMode ? "text-gray-500" : "text-gray-400"
+                      }`}>
+                      Requested: {toDate(request.requestedAt)?.toLocaleString() || "N/A"}
+                      {age !== null && ` (${age} day${age === 1 ? "" : "s"} ago)`}
+                      {isStale(request) && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full font-semibold bg-red-100 text-red-800">
+                          ⚠️ Pending {age} days
+                        </span>
+                      )}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    {request.status === "pending" && !canManage ? (
+                      <span className="px-3 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800 border border-yellow-200">
+                        ⏳ Pending
+                      </span>
+                    ) : request.status === "pending" ? (
+                      <>
+                        <button
+                          onClick={() => onApprove(request)}
+                          disabled={!feature}
+                          title={feature ? `Approve and enable ${feature.label}` : "This feature is not in the registry"}
+                          className="bg-green-500 hover:bg-green-600 disabled:bg-gray-400 disabled:cursor-not-allowed text-white px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-semibold transition-all shadow-sm hover:shadow-md"
+                        >
+                          ✓ Approve
+                        </button>
+                        <button
+                          onClick={() => onReject(request)}
+                          className="bg-red-500 hover:bg-red-600 text-white px-3 md:px-4 py-2 rounded-lg text-xs md:text-sm font-semibold transition-all shadow-sm hover:shadow-md"
+                        >
+                          ✗ Reject
+                        </button>
+                      </>
+                    ) : (
+                      <span
+                        className={`px-3 py-1 rounded-full text-xs font-semibold ${request.status === "approved"
+                          ? "bg-green-100 text-green-800 border border-green-200"
+                          : "bg-red-100 text-red-800 border border-red-200"
+                          }`}
+                      >
+                        {request.status === "approved" ? "✓ Approved" : "✗ Rejected"}
+                      </span>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeatureRequests;
@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { EMPTY_FILTERS, MAX_AGENT_CODES, splitAgentCodes } from "../utils/userFilters";
+
+// Advanced filter builder shown under the users table toolbar. Every
+// change is applied immediately through onChange.
+const FilterPanel = ({ darkMode, filters, tags, onChange }) => {
+  // Agent codes are typed as free text and applied on blur / Enter
+  const [agentText, setAgentText] = useState(filters.agentCodes.join(", "));
+  const [droppedCodes, setDroppedCodes] = useState([]); // Codes past the limit, left out of the filter
+  const [copied, setCopied] = useState(false);
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const applyAgentCodes = () => {
+    const codes = splitAgentCodes(agentText);
+    const agentCodes = codes.slice(0, MAX_AGENT_CODES);
+    setDroppedCodes(codes.slice(MAX_AGENT_CODES));
+    setAgentText(agentCodes.join(", "));
+    if (agentCodes.join() !== filters.agentCodes.join()) update({ agentCodes });
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Error copying link:", error);
+    }
+  };
+
+  const inputClass = `w-full border px-3 py-2 rounded-lg text-sm ${darkMode
+    ? "bg-gray-700 border-gray-600 text-white"
+    : "bg-white border-gray-300 text-gray-900"
+    }`;
+  const labelClass = `block text-xs font-bold uppercase mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`;
+
+  return (
+    <div className={`mt-4 pt-4 border-t ${darkMode ? "border-gray-700" : "border-gray-100"}`}>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {/* Registration Date Range */}
+        <div>
+          <label className={labelClass}>Registered</label>
+          <div className="flex gap-2">
+            <input type="date" value={filters.createdFrom} max={filters.createdTo || undefined}
+              onChange={(e) => update({ createdFrom: e.target.value })} className={inputClass} />
+            <input type="date" value={filters.createdTo} min={filters.createdFrom || undefined}
+              onChange={(e) => update({ createdTo: e.target.value })} className={inputClass} />
+          </div>
+        </div>
+
+        {/* Expiry Date Range */}
+        <div>
+          <label className={labelClass}>Expires</label>
+          <div className="flex gap-2">
+            <input type="date" value={filters.expiresFrom} max={filters.expiresTo || undefined}
+              onChange={(e) => update({ expiresFrom: e.target.value })} className={inputClass} />
+            <input type="date" value={filters.expiresTo} min={filters.expiresFrom || undefined}
+              onChange={(e) => update({ expiresTo: e.target.value })} className={inputClass} />
+          </div>
+        </div>
+
+        {/* Flags */}
+        <div className="flex gap-2">
+          <div className="flex-1">
+            <label className={labelClass}>WhatsApp</label>
+            <select value={filters.whatsapp} onChange={(e) => update({ whatsapp: e.target.value })} className={`${inputClass} cursor-pointer`}>
+              <option value="">Any</option>
+              <option value="on">On</option>
+              <option value="off">Off</option>
+            </select>
+          </div>
+          <div className="flex-1">
+            <label className={labelClass}>Active</label>
+            <select value={filters.active} onChange={(e) => update({ active: e.target.value })} className={`${inputClass} cursor-pointer`}>
+              <option value="">Any</option>
+              <option value="yes">Active</option>
+              <option value="no">Inactive</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Agent Codes */}
+        <div>
+          <label className={labelClass}>Agent codes</label>
+          <input
+            type="text"
+            value={agentText}
+            placeholder={`Up to ${MAX_AGENT_CODES}, comma separated`}
+            onChange={(e) => setAgentText(e.target.value)}
+            onBlur={applyAgentCodes}
+            onKeyDown={(e) => e.key === "Enter" && applyAgentCodes()}
+            className={`${inputClass} placeholder-gray-400`}
+          />
+          {droppedCodes.length > 0 && (
+            <p className="text-orange-600 text-xs mt-1">
+              ⚠️ Only {MAX_AGENT_CODES} codes can be filtered at once; left out: {droppedCodes.join(", ")}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mt-4">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <label className={`flex items-center gap-2 text-sm cursor-pointer ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+            <input
+              type="checkbox"
+              checked={filters.noDevice}
+              onChange={(e) => update({ noDevice: e.target.checked })}
+              className="w-4 h-4 rounded"
+            />
+            Has no device ID
+          </label>
+          <select
+            value={filters.tag}
+            onChange={(e) => update({ tag: e.target.value })}
+            className={`${inputClass} sm:w-48 cursor-pointer`}
+          >
+            <option value="">Any tag</option>
+            {tags.map((tag) => (
+              <option key={tag.id} value={tag.id}>🏷 {tag.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleCopyLink}
+            className={`px-3 py-1.5 rounded-lg text-xs md:text-sm font-semibold transition-all ${darkMode
+              ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+              : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+              }`}
+          >
+            {copied ? "✓ Link copied" : "🔗 Copy link"}
+          </button>
+          <button
+            onClick={() => {
+              setAgentText("");
+              setDroppedCodes([]);
+              onChange(EMPTY_FILTERS);
+            }}
+            className={`px-3 py-1.5 rounded-lg text-xs md:text-sm font-semibold transition-all ${darkMode
+              ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+              : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+              }`}
+          >
+            ✕ Clear filters
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FilterPanel;
@@ -0,0 +1,337 @@
+import React, { useState } from "react";
+import { collection, doc, getDocs, query, where, documentId } from "firebase/firestore";
+import { db } from "../firebase";
+import { auditedBatch } from "../utils/audit";
+import { parseCsv } from "../utils/csv";
+import { normalizePhone, phoneVariants, isValidPhone } from "../utils/phone";
+import { PLANS, DEFAULT_PLAN_ID } from "../utils/plans";
+import { buildUserChanges } from "../utils/userActions";
+import { fetchUnnormalizedCount } from "../utils/userQueries";
+import { isPending, isLive } from "../utils/userStatus";
+
+// Rows per batch: up to four operations each (allowlist entry and user
+// approval, each with its audit entry) of the 500 allowed
+const IMPORT_CHUNK_SIZE = 100;
+
+// Dry-run outcome for each CSV row
+const RESULTS = {
+  new: { label: "Add to allowlist", color: "bg-green-100 text-green-800" },
+  unverified: { label: "Add to allowlist, registration not ruled out", color: "bg-yellow-100 text-yellow-800" },
+  approve: { label: "Approve pending registration", color: "bg-blue-100 text-blue-800" },
+  mismatch: { label: "Pending, agent code differs", color: "bg-orange-100 text-orange-800" },
+  registered: { label: "Already approved", color: "bg-gray-100 text-gray-700" },
+  rejected: { label: "Registered but blocked", color: "bg-red-100 text-red-800" },
+  exists: { label: "Already pre-approved", color: "bg-gray-100 text-gray-700" },
+  duplicate: { label: "Duplicate in file", color: "bg-yellow-100 text-yellow-800" },
+  invalid: { label: "Invalid phone", color: "bg-red-100 text-red-800" },
+};
+
+// Results that write to the allowlist
+const WRITES_ALLOWLIST = ["new", "unverified", "approve", "mismatch"];
+
+// Firestore "in" filters accept at most 30 values
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const PreapprovedImport = ({ darkMode, admin }) => {
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState([]); // { line, phone, agentCode, result, user }
+  const [analysing, setAnalysing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [summary, setSummary] = useState(null); // { written, approved, failed: [] }
+  const [approveMatches, setApproveMatches] = useState(true);
+  const [planId, setPlanId] = useState(DEFAULT_PLAN_ID);
+  const [unnormalized, setUnnormalized] = useState(0); // Users the phone lookup may miss
+  const [error, setError] = useState("");
+
+  // 🔹 Parse the file and classify every row against Firestore (no writes)
+  const handleFile = async (file) => {
+    if (!file) return;
+    setError("");
+    setSummary(null);
+    setRows([]);
+    setUnnormalized(0);
+    setFileName(file.name);
+    setAnalysing(true);
+
+    try {
+      const table = parseCsv(await file.text());
+
+      // Header row is optional; default to phone, agent code columns
+      const header = (table[0] || []).map((c) => c.toLowerCase());
+      const hasHeader = header.some((c) => c.includes("phone"));
+      const phoneCol = hasHeader ? header.findIndex((c) => c.includes("phone")) : 0;
+      const agentCol = hasHeader ? header.findIndex((c) => c.includes("agent")) : 1;
+
+      const seen = new Set();
+      const parsed = table.slice(hasHeader ? 1 : 0).map((cells, i) => {
+        const phone = normalizePhone(cells[phoneCol]);
+        const agentCode = agentCol >= 0 ? (cells[agentCol] || "").trim() : "";
+        const line = i + (hasHeader ? 2 : 1);
+        if (!isValidPhone(phone)) return { line, phone: cells[phoneCol] || "", agentCode, result: "invalid" };
+        if (seen.has(phone)) return { line, phone, agentCode, result: "duplicate" };
+        seen.add(phone);
+        return { line, phone, agentCode, result: null };
+      });
+
+      // Look up existing registrations and allowlist entries for the valid
+      // phones. Users are matched on phoneNormalized, and on the formats an
+      // unmigrated `phone` may be stored in (see utils/phone phoneVariants).
+      const phones = [...seen];
+      const rowPhoneOf = new Map(phones.flatMap((phone) => phoneVariants(phone).map((variant) => [variant, phone])));
+      const usersWhere = (field, values) =>
+        chunk(values, 30).map((ids) => getDocs(query(collection(db, "users"), where(field, "in", ids))));
+      const [userSnapshots, preapprovedSnapshots, unnormalizedCount] = await Promise.all([
+        Promise.all([...usersWhere("phoneNormalized", phones), ...usersWhere("phone", [...rowPhoneOf.keys()])]),
+        Promise.all(chunk(phones, 30).map((ids) => getDocs(query(collection(db, "preapproved"), where(documentId(), "in", ids))))),
+        fetchUnnormalizedCount(),
+      ]);
+      const usersByPhone = new Map();
+      userSnapshots.forEach((snapshot) =>
+        snapshot.docs.forEach((d) => {
+          const phone = rowPhoneOf.get(normalizePhone(d.data().phone)) ?? d.data().phoneNormalized;
+          usersByPhone.set(phone, { id: d.id, ...d.data() });
+        })
+      );
+      setUnnormalized(unnormalizedCount);
+      const preapproved = new Set();
+      preapprovedSnapshots.forEach((snapshot) => snapshot.docs.forEach((d) => preapproved.add(d.id)));
+
+      setRows(parsed.map((row) => {
+        if (row.result) return row;
+        const user = usersByPhone.get(row.phone);
+        if (preapproved.has(row.phone)) return { ...row, user, result: "exists" };
+        if (!user) return { ...row, result: unnormalizedCount > 0 ? "unverified" : "new" };
+        if (!isLive(user)) return { ...row, user, result: "rejected" };
+        if (!isPending(user)) return { ...row, user, result: "registered" };
+        const agentMatches = !row.agentCode || (user.agentCode || "").toUpperCase() === row.agentCode.toUpperCase();
+        return { ...row, user, result: agentMatches ? "approve" : "mismatch" };
+      }));
+    } catch (err) {
+      console.error("Error reading import file:", err);
+      setError(err.message);
+    }
+    setAnalysing(false);
+  };
+
+  // 🔹 Write the allowlist and (optionally) approve matching pending users
+  const handleImport = async () => {
+    const toWrite = rows.filter((r) => WRITES_ALLOWLIST.includes(r.result));
+    if (toWrite.length === 0) return;
+
+    const userChanges = buildUserChanges(admin);
+    const failed = [];
+    let approved = 0;
+
+    setImporting(true);
+    setProgress({ done: 0, total: toWrite.length });
+    const chunks = chunk(toWrite, IMPORT_CHUNK_SIZE);
+    for (let i = 0; i < chunks.length; i++) {
+      const toApprove = approveMatches ? chunks[i].filter((r) => r.result === "approve") : [];
+      try {
+        // Allowlist entries and approvals commit together, so a failed
+        // chunk leaves nothing half-written and can simply be retried
+        await auditedBatch(admin, "preapproved.import", [
+          ...chunks[i].map((row) => ({
+            ref: doc(db, "preapproved", row.phone),
+            type: "set",
+            label: row.phone,
+            changes: {
+              phone: row.phone,
+              agentCode: row.agentCode || null,
+              source: fileName,
+              importedBy: admin.email,
+              importedAt: new Date(),
+              matchedUserId: toApprove.includes(row) ? row.user.id : null,
+            },
+          })),
+          ...toApprove.map((row) => ({
+            ref: doc(db, "users", row.user.id),
+            action: "user.approve",
+            current: row.user,
+            changes: userChanges.approve(planId),
+            label: row.phone,
+          })),
+        ]);
+        approved += toApprove.length;
+      } catch (err) {
+        console.error("Error importing pre-approvals:", err);
+        chunks[i].forEach((row) => failed.push({ phone: row.phone, error: err.message }));
+      }
+      setProgress({ done: Math.min((i + 1) * IMPORT_CHUNK_SIZE, toWrite.length), total: toWrite.length });
+    }
+
+    setSummary({ written: toWrite.length - failed.length, approved, failed });
+    setRows([]);
+    setProgress(null);
+    setImporting(false);
+  };
+
+  const counts = rows.reduce((acc, r) => ({ ...acc, [r.result]: (acc[r.result] || 0) + 1 }), {});
+  const writeCount = rows.filter((r) => WRITES_ALLOWLIST.includes(r.result)).length;
+
+  return (
+    <div className="space-y-6">
+      {/* File Picker */}
+      <div className={`rounded-xl shadow-md p-6 border transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+        }`}>
+        <h2 className={`text-xl font-bold mb-2 flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"
+          }`}>
+          <span className="text-2xl">📥</span>
+          Import Pre-approved Agents
+        </h2>
+        <p className={`text-sm mb-4 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+          CSV with a <code>phone</code> column and an optional <code>agentCode</code> column. Nothing is written until you confirm the dry run.
+        </p>
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          disabled={analysing || importing}
+          onChange={(e) => {
+            handleFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+          className={`block w-full text-sm file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:font-semibold file:bg-blue-600 file:text-white hover:file:bg-blue-700 ${darkMode ? "text-gray-300" : "text-gray-700"
+            }`}
+        />
+        {analysing && <p className={`text-sm mt-3 ${darkMode ? "text-gray-300" : "text-gray-600"}`}>⏳ Checking {fileName}...</p>}
+        {error && <p className="text-red-500 text-xs mt-2">{error}</p>}
+
+        {/* Import Summary */}
+        {summary && (
+          <div className={`mt-4 p-3 rounded-lg border text-sm ${summary.failed.length > 0
+            ? darkMode ? "bg-red-900/20 border-red-700 text-red-300" : "bg-red-50 border-red-200 text-red-800"
+            : darkMode ? "bg-green-900/20 border-green-700 text-green-300" : "bg-green-50 border-green-200 text-green-800"
+            }`}>
+            <p className="font-semibold">
+              ✓ {summary.written} phone(s) added to the allowlist, {summary.approved} pending registration(s) approved
+              {summary.failed.length > 0 && `, ${summary.failed.length} failed`}
+            </p>
+            {summary.failed.length > 0 && (
+              <p className="mt-1">Failed: {summary.failed.map((f) => f.phone).join(", ")} ({summary.failed[0].error})</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Dry Run */}
+      {rows.length > 0 && (
+        <div className={`rounded-xl shadow-md border overflow-hidden transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+          }`}>
+          <div className="p-6 pb-4 space-y-4">
+            <h2 className={`text-xl font-bold flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"}`}>
+              <span className="text-2xl">🔎</span>
+              Dry Run: {fileName}
+            </h2>
+
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(RESULTS)
+                .filter(([key]) => counts[key])
+                .map(([key, r]) => (
+                  <span key={key} className={`px-2 py-1 rounded text-xs font-semibold ${r.color}`}>
+                    {r.label}: {counts[key]}
+                  </span>
+                ))}
+            </div>
+
+            {unnormalized > 0 && counts.unverified > 0 && (
+              <p className={`text-sm ${darkMode ? "text-yellow-300" : "text-yellow-800"}`}>
+                ⚠️ {unnormalized} user(s) have no normalized phone yet, so a number stored in another format
+                (spaces, dashes) isn't found. Run "Migrate users" on the Users tab to check these rows reliably.
+              </p>
+            )}
+
+            <div className="flex flex-col md:flex-row md:items-center gap-3">
+              <label className={`flex items-center gap-2 text-sm cursor-pointer ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                <input
+                  type="checkbox"
+                  checked={approveMatches}
+                  onChange={(e) => setApproveMatches(e.target.checked)}
+                  disabled={importing}
+                  className="w-4 h-4 rounded"
+                />
+                Approve matching pending registrations ({counts.approve || 0}) on
+              </label>
+              <select
+                value={planId}
+                onChange={(e) => setPlanId(e.target.value)}
+                disabled={importing || !approveMatches}
+                className={`border px-3 py-1.5 rounded-lg text-sm cursor-pointer ${darkMode
+                  ? "bg-gray-700 border-gray-600 text-white"
+                  : "bg-white border-gray-300 text-gray-900"
+                  }`}
+              >
+                {PLANS.map((p) => (
+                  <option key={p.id} value={p.id}>{p.label}</option>
+                ))}
+              </select>
+
+              <div className="flex gap-2 md:ml-auto">
+                <button
+                  onClick={() => setRows([])}
+                  disabled={importing}
+                  className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${darkMode
+                    ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                    : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+                    }`}
+                >
+                  Discard
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={importing || writeCount === 0}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-all shadow-sm"
+                >
+                  {progress ? `⏳ Importing ${progress.done}/${progress.total}...` : `✅ Import ${writeCount} row(s)`}
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto max-h-[480px] overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className={darkMode ? "bg-gray-700" : "bg-gray-50"}>
+                <tr>
+                  {["Line", "Phone", "Agent Code", "Result"].map((heading) => (
+                    <th
+                      key={heading}
+                      className={`px-6 py-3 text-left text-xs font-bold uppercase tracking-wider ${darkMode ? "text-gray-300" : "text-gray-700"
+                        }`}
+                    >
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className={`divide-y ${darkMode ? "bg-gray-800 divide-gray-700" : "bg-white divide-gray-100"}`}>
+                {rows.map((row) => (
+                  <tr key={row.line}>
+                    <td className={`px-6 py-2 text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>{row.line}</td>
+                    <td className={`px-6 py-2 text-sm font-mono ${darkMode ? "text-white" : "text-gray-900"}`}>{row.phone || "—"}</td>
+                    <td className={`px-6 py-2 text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                      {row.agentCode || "—"}
+                      {row.result === "mismatch" && (
+                        <span className="block text-xs text-orange-500">Registered with {row.user.agentCode || "no code"}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-2">
+                      <span className={`px-2 py-0.5 rounded text-xs font-semibold ${RESULTS[row.result].color}`}>
+                        {row.result === "approve" && !approveMatches ? RESULTS.new.label : RESULTS[row.result].label}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PreapprovedImport;
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { SELECTABLE_REASONS } from "../utils/statusReasons";
+
+const TITLES = {
+  reject: "✗ Reject User",
+  deactivate: "⏸ Deactivate User",
+};
+
+// Reason picker shown before rejecting or deactivating. The reason is
+// stored on the user and shown to them in the app. Without a `user` it
+// applies to `count` bulk-selected users.
+const ReasonModal = ({ darkMode, mode, user, count = 1, onConfirm, onClose }) => {
+  const [reason, setReason] = useState("");
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // "Other" needs an explanation
+  const canConfirm = !!reason && (reason !== "other" || !!note.trim());
+
+  const handleConfirm = async () => {
+    if (!canConfirm) return;
+    setSaving(true);
+    await onConfirm({ reason, note: note.trim() });
+    setSaving(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className={`w-full max-w-md rounded-xl shadow-2xl p-6 border ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+          }`}
+      >
+        <h2 className={`text-xl font-bold mb-1 ${darkMode ? "text-white" : "text-gray-900"}`}>
+          {TITLES[mode]}
+        </h2>
+        <p className={`text-sm mb-4 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+          {user
+            ? `${user.phone || "N/A"} · Agent ${user.agentCode || "N/A"}`
+            : `${count} selected user(s)`}
+        </p>
+
+        <div className="grid grid-cols-2 gap-2">
+          {SELECTABLE_REASONS.map((r) => (
+            <button
+              key={r.id}
+              onClick={() => setReason(r.id)}
+              disabled={saving}
+              className={`px-3 py-2.5 rounded-lg border text-sm font-semibold transition-all ${reason === r.id
+                ? "bg-red-500 border-red-500 text-white shadow-md"
+                : darkMode
+                  ? "bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600"
+                  : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+                }`}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          rows="3"
+          maxLength={500}
+          disabled={saving}
+          placeholder={reason === "other" ? "Explain the reason (shown to the user)" : "Details (optional, shown to the user)"}
+          className={`w-full mt-4 px-4 py-2 rounded-lg border text-sm ${darkMode
+            ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+            : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+            }`}
+        />
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${darkMode
+              ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+              : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+              }`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={saving || !canConfirm}
+            className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-red-500 hover:bg-red-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-all shadow-sm"
+          >
+            {saving ? "⏳ Saving..." : "Confirm"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReasonModal;
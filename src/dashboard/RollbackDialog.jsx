@@ -0,0 +1,84 @@
+import React from "react";
+import { getRolloutPercent, getRolloutState, ROLLOUT_STATES } from "../utils/rollout";
+import { getForceBelow } from "../utils/updatePolicy";
+
+// Confirmation for rolling back to an older release: lists the releases
+// that get deactivated and what happens to devices on either side
+const RollbackDialog = ({ darkMode, target, deactivations, saving, onConfirm, onClose }) => {
+  const forceBelow = getForceBelow(target);
+
+  const secondaryButton = `px-4 py-2 rounded-lg text-sm font-semibold transition-all ${darkMode
+    ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+    : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+    }`;
+  const textClass = darkMode ? "text-gray-300" : "text-gray-700";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className={`w-full max-w-lg rounded-xl shadow-2xl p-6 border ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+          }`}
+      >
+        <h2 className={`text-xl font-bold mb-1 ${darkMode ? "text-white" : "text-gray-900"}`}>
+          ⏪ Roll back to v{target.versionName}?
+        </h2>
+        <p className={`text-sm mb-4 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+          Code {target.versionCode}
+        </p>
+
+        {/* Deactivated releases */}
+        <p className={`text-xs font-bold uppercase mb-1 ${textClass}`}>Releases that will be deactivated</p>
+        {deactivations.length === 0 ? (
+          <p className={`text-sm mb-4 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>None, no newer release is active.</p>
+        ) : (
+          <ul className="space-y-1 mb-4">
+            {deactivations.map((v) => {
+              const state = ROLLOUT_STATES[getRolloutState(v)];
+              return (
+                <li key={v.id} className={`text-sm ${textClass}`}>
+                  ⛔ v{v.versionName} <span className="text-xs">(code {v.versionCode})</span>
+                  <span className={`ml-2 text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                    {getRolloutPercent(v)}% of devices{getRolloutPercent(v) < 100 && `, ${state.label.toLowerCase()}`}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {/* Impact */}
+        <ul className={`list-disc pl-5 space-y-1 text-sm mb-4 ${textClass}`}>
+          <li>
+            Devices below code {target.versionCode} are offered v{target.versionName}
+            {forceBelow !== null ? `, forced below ${forceBelow}` : ", as a suggested update"}.
+            {!target.isActive && " It is inactive now and will be re-activated."}
+            {getRolloutPercent(target) < 100 && " Its rollout goes to 100%."}
+          </li>
+          {deactivations.length > 0 && (
+            <li>Devices that haven't installed the newer releases stop being offered them, including forced updates.</li>
+          )}
+          <li className="text-orange-600 font-semibold">
+            Devices already on a newer version keep it: Android can't install an older versionCode over a newer one.
+            Publish a fix with a higher version code to move them.
+          </li>
+        </ul>
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} disabled={saving} className={secondaryButton}>
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={saving}
+            className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-orange-600 hover:bg-orange-700 disabled:bg-gray-400 transition-all shadow-sm"
+          >
+            {saving ? "⏳ Rolling back..." : `Roll back to v${target.versionName}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RollbackDialog;
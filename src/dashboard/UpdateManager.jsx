@@ -1,22 +1,71 @@
-import React, { useState, useEffect } from "react";
-import { collection, onSnapshot, doc, setDoc, updateDoc, orderBy, query } from "firebase/firestore";
-import { db } from "../firebase";
+import React, { useState, useEffect, useRef } from "react";
+import { collection, onSnapshot, doc, orderBy, query, getDocs } from "firebase/firestore";
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from "firebase/storage";
+import { db, storage } from "../firebase";
+import { PERMISSIONS, hasPermission } from "../utils/roles";
+import { auditedUpdate, auditedWrite } from "../utils/audit";
+import {
+    APK_CONTENT_TYPE, APP_PACKAGE, apkStoragePath, sha256Hex, formatFileSize, readApkManifest, checkApkManifest,
+} from "../utils/apk";
+import {
+    ROLLOUT_STEPS, ROLLOUT_STATES, getRolloutPercent, getRolloutState, nextRolloutStep, bucketHistogram, cohortSize,
+} from "../utils/rollout";
+import { activeUsersQuery } from "../utils/userQueries";
+import { getForceBelow, legacyCritical } from "../utils/updatePolicy";
+import {
+    isDeleted, deleteChanges, restoreChanges, rollbackDeactivations, rollbackTargetChanges,
+} from "../utils/releases";
+import UpdatePolicyEditor from "./UpdatePolicyEditor";
+import VersionEditRow from "./VersionEditRow";
+import RollbackDialog from "./RollbackDialog";
+
+// Cancel an APK upload and delete whatever reached Storage, so releases
+// that are never published don't leave files behind
+const discardUpload = async (uploadTaskRef, unpublishedPathRef) => {
+    uploadTaskRef.current?.cancel();
+    const storagePath = unpublishedPathRef.current;
+    unpublishedPathRef.current = null;
+    if (!storagePath) return;
+    try {
+        await deleteObject(ref(storage, storagePath));
+    } catch (error) {
+        // A cancelled upload never creates the object
+        if (error.code !== "storage/object-not-found") console.error("Error deleting uploaded APK:", error);
+    }
+};
 
-const UpdateManager = ({ darkMode }) => {
+const UpdateManager = ({ darkMode, admin }) => {
+    const canPublish = hasPermission(admin, PERMISSIONS.PUBLISH_RELEASES);
     const [versions, setVersions] = useState([]);
     const [uploading, setUploading] = useState(false);
 
-    // Form state - Changed from file upload to URL input
-    const [downloadUrl, setDownloadUrl] = useState("");
+    // Form state
     const [versionName, setVersionName] = useState("");
     const [versionCode, setVersionCode] = useState("");
     const [changelog, setChangelog] = useState("");
-    const [fileSize, setFileSize] = useState(""); // In MB
-    const [isCritical, setIsCritical] = useState(true); // Default to forced update
+    const [forceMode, setForceMode] = useState("all"); // all | below | none; default to forcing every older install
+    const [forceBelow, setForceBelow] = useState("");
+    const [rolloutPercent, setRolloutPercent] = useState(100);
+
+    // APK upload: { fileName, fileSize, manifest, storagePath, transferred, done, downloadUrl, sha256 }
+    const [apk, setApk] = useState(null);
+    const uploadTaskRef = useRef(null);
+    const unpublishedPathRef = useRef(null); // Storage path of the APK until it's published
 
     // Validation errors
     const [errors, setErrors] = useState({});
 
+    // Active users per rollout bucket, counted on demand: { histogram, total }
+    const [cohorts, setCohorts] = useState(null);
+    const [countingCohorts, setCountingCohorts] = useState(false);
+
+    // Version history: inline edit, deleted releases, rollback confirmation
+    const [editingId, setEditingId] = useState(null);
+    const [savingEdit, setSavingEdit] = useState(false);
+    const [showDeleted, setShowDeleted] = useState(false);
+    const [rollbackTarget, setRollbackTarget] = useState(null);
+    const [rollingBack, setRollingBack] = useState(false);
+
     // Real-time listener for versions
     useEffect(() => {
         const q = query(
@@ -30,24 +79,106 @@ const UpdateManager = ({ darkMode }) => {
         return () => unsubscribe();
     }, []);
 
+    // Stop a running upload and delete an unpublished one when leaving the page
+    useEffect(() => () => discardUpload(uploadTaskRef, unpublishedPathRef), []);
+
+    // Closing the tab can't delete the upload, so ask first
+    const hasApk = !!apk;
+    useEffect(() => {
+        if (!hasApk) return;
+        const warn = (e) => e.preventDefault();
+        window.addEventListener("beforeunload", warn);
+        return () => window.removeEventListener("beforeunload", warn);
+    }, [hasApk]);
+
+    // Version codes are never reused, so the latest includes deleted releases
+    const latestVersion = versions.length > 0 ? versions[0] : null;
+    const liveVersions = versions.filter((v) => !isDeleted(v));
+    const currentVersion = liveVersions.find((v) => v.isActive) || null;
+    const deletedCount = versions.length - liveVersions.length;
+    const listedVersions = showDeleted ? versions : liveVersions;
+
+    // Releases must be our app and newer than everything published so far
+    const apkProblems = apk?.manifest
+        ? checkApkManifest(apk.manifest, { expectedPackage: APP_PACKAGE, latestVersionCode: latestVersion?.versionCode })
+        : [];
+
+    // Read and check the APK's manifest, pre-fill the form, then upload it
+    // to Storage (resumable) while hashing it locally. APKs that fail the
+    // checks are never uploaded.
+    const handleFileSelect = async (file) => {
+        if (!file) return;
+        if (!file.name.toLowerCase().endsWith(".apk")) {
+            setErrors((prev) => ({ ...prev, apk: "Choose an .apk file" }));
+            return;
+        }
+        setErrors((prev) => ({ ...prev, apk: null }));
+        await discardUpload(uploadTaskRef, unpublishedPathRef);
+
+        let manifest;
+        try {
+            manifest = await readApkManifest(file);
+        } catch (error) {
+            console.error("Error reading APK manifest:", error);
+            setErrors((prev) => ({ ...prev, apk: "Could not read the APK: " + error.message }));
+            return;
+        }
+        const problems = checkApkManifest(manifest, { expectedPackage: APP_PACKAGE, latestVersionCode: latestVersion?.versionCode });
+        if (problems.length > 0) {
+            setErrors((prev) => ({ ...prev, apk: problems.join(". ") }));
+            return;
+        }
+        if (manifest.versionName) setVersionName(manifest.versionName);
+        if (manifest.versionCode) setVersionCode(String(manifest.versionCode));
+
+        const storagePath = apkStoragePath(file.name);
+        const task = uploadBytesResumable(ref(storage, storagePath), file, { contentType: APK_CONTENT_TYPE });
+        uploadTaskRef.current = task;
+        unpublishedPathRef.current = storagePath;
+        const isCurrent = (prev) => prev?.storagePath === storagePath;
+        setApk({ fileName: file.name, fileSize: file.size, manifest, storagePath, transferred: 0, done: false });
+        task.on("state_changed", (snapshot) =>
+            setApk((prev) => (isCurrent(prev) ? { ...prev, transferred: snapshot.bytesTransferred } : prev))
+        );
+
+        try {
+            const [sha256] = await Promise.all([sha256Hex(file), task]);
+            const downloadUrl = await getDownloadURL(task.snapshot.ref);
+            setApk((prev) => (isCurrent(prev) ? { ...prev, transferred: file.size, done: true, downloadUrl, sha256 } : prev));
+        } catch (error) {
+            if (error.code !== "storage/canceled") {
+                console.error("Error uploading APK:", error);
+                setErrors((prev) => ({ ...prev, apk: "Upload failed: " + error.message }));
+                if (unpublishedPathRef.current === storagePath) await discardUpload(uploadTaskRef, unpublishedPathRef);
+            }
+            setApk((prev) => (isCurrent(prev) ? null : prev));
+        }
+        if (uploadTaskRef.current === task) uploadTaskRef.current = null;
+    };
+
+    // Cancel a running upload, or delete a finished one that hasn't been published
+    const handleRemoveApk = () => {
+        setApk(null);
+        discardUpload(uploadTaskRef, unpublishedPathRef);
+    };
+
     // Validate form
     const validateForm = () => {
         const newErrors = {};
 
-        if (!downloadUrl.trim()) {
-            newErrors.downloadUrl = "Download URL is required";
-        } else {
-            try {
-                new URL(downloadUrl);
-            } catch {
-                newErrors.downloadUrl = "Invalid URL format";
-            }
-        }
+        if (!apk) newErrors.apk = "Upload the APK file";
+        else if (!apk.done) newErrors.apk = "Wait for the upload to finish";
+        else if (apkProblems.length > 0) newErrors.apk = apkProblems.join(". ");
 
         if (!versionName.trim()) newErrors.versionName = "Version name is required";
         if (!versionCode || versionCode <= 0) newErrors.versionCode = "Valid version code is required";
+        else if (apk?.manifest && parseInt(versionCode) !== apk.manifest.versionCode) {
+            newErrors.versionCode = `The APK's version code is ${apk.manifest.versionCode}`;
+        }
         if (!changelog.trim()) newErrors.changelog = "Changelog is required";
-        if (!fileSize || fileSize <= 0) newErrors.fileSize = "File size is required";
+        if (forceMode === "below" && !(parseInt(forceBelow) > 0 && parseInt(forceBelow) <= parseInt(versionCode))) {
+            newErrors.forceBelow = "Enter a version code up to this release's code";
+        }
 
         // Check if version code already exists
         if (versions.some(v => v.versionCode === parseInt(versionCode))) {
@@ -60,36 +191,49 @@ const UpdateManager = ({ darkMode }) => {
 
     // Save version to Firestore
     const handleSubmit = async () => {
-        if (!validateForm()) return;
+        if (!canPublish || !validateForm()) return;
 
         setUploading(true);
+        const code = parseInt(versionCode);
+        const forceBelowCode = { all: code, below: parseInt(forceBelow), none: null }[forceMode];
 
         try {
-            // Convert MB to bytes for consistency
-            const fileSizeInBytes = parseFloat(fileSize) * 1024 * 1024;
-
             // Save to Firestore
             const versionDoc = doc(db, "app_versions", `version_${versionCode}`);
-            await setDoc(versionDoc, {
-                versionName: versionName.trim(),
-                versionCode: parseInt(versionCode),
-                downloadUrl: downloadUrl.trim(),
-                changelog: changelog.trim(),
-                fileSize: fileSizeInBytes,
-                uploadedAt: new Date(),
-                uploadedBy: "admin",
-                isCritical: isCritical,
-                isActive: true,
-                downloadCount: 0,
-            });
-
-            // Reset form
-            setDownloadUrl("");
+            await auditedWrite(admin, "release.publish", [{
+                ref: versionDoc,
+                type: "set",
+                label: `v${versionName.trim()} (${versionCode})`,
+                changes: {
+                    versionName: versionName.trim(),
+                    versionCode: parseInt(versionCode),
+                    downloadUrl: apk.downloadUrl,
+                    storagePath: apk.storagePath,
+                    sha256: apk.sha256,
+                    packageName: apk.manifest.packageName,
+                    minSdk: apk.manifest.minSdk,
+                    changelog: changelog.trim(),
+                    fileSize: apk.fileSize,
+                    uploadedAt: new Date(),
+                    uploadedBy: admin.email,
+                    forceBelowVersionCode: forceBelowCode,
+                    isCritical: legacyCritical(code, forceBelowCode),
+                    isActive: true,
+                    rolloutPercent,
+                    rolloutState: "active",
+                    downloadCount: 0,
+                },
+            }]);
+
+            // Reset form; the APK now belongs to the release
+            unpublishedPathRef.current = null;
+            setApk(null);
             setVersionName("");
             setVersionCode("");
             setChangelog("");
-            setFileSize("");
-            setIsCritical(true);
+            setForceMode("all");
+            setForceBelow("");
+            setRolloutPercent(100);
             setUploading(false);
 
             alert("✅ Version added successfully!");
@@ -101,188 +245,363 @@ const UpdateManager = ({ darkMode }) => {
     };
 
     // Toggle version active status
-    const toggleVersionStatus = async (versionId, currentStatus) => {
+    const toggleVersionStatus = async (version) => {
+        if (!canPublish) return;
         try {
-            await updateDoc(doc(db, "app_versions", versionId), {
-                isActive: !currentStatus,
-            });
+            await auditedUpdate(admin, "release.toggle", doc(db, "app_versions", version.id), {
+                isActive: !version.isActive,
+            }, `v${version.versionName} (${version.versionCode})`);
         } catch (error) {
             console.error("Error toggling status:", error);
         }
     };
 
-    // Format file size
-    const formatFileSize = (bytes) => {
-        if (bytes === 0) return "0 Bytes";
-        const k = 1024;
-        const sizes = ["Bytes", "KB", "MB", "GB"];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return Math.round(bytes / Math.pow(k, i) * 100) / 100 + " " + sizes[i];
+    // Save the fields changed in the inline editor
+    const handleEditSave = async (version, changes) => {
+        if (!canPublish) return;
+        setSavingEdit(true);
+        try {
+            await auditedUpdate(admin, "release.edit", doc(db, "app_versions", version.id), changes,
+                `v${version.versionName} (${version.versionCode})`);
+            setEditingId(null);
+        } catch (error) {
+            console.error("Error editing version:", error);
+            alert("❌ Error: " + error.message);
+        }
+        setSavingEdit(false);
     };
 
-    const latestVersion = versions.length > 0 ? versions[0] : null;
+    // Soft delete: the doc and its APK stay, hidden and inactive
+    const handleDelete = async (version) => {
+        const label = `v${version.versionName} (${version.versionCode})`;
+        if (!canPublish || !window.confirm(`Delete ${label}? It is deactivated and hidden from the history; you can restore it later.`)) return;
+        try {
+            await auditedUpdate(admin, "release.delete", doc(db, "app_versions", version.id), deleteChanges(admin), label);
+        } catch (error) {
+            console.error("Error deleting version:", error);
+            alert("❌ Error: " + error.message);
+        }
+    };
+
+    // Bring a deleted release back (still inactive)
+    const handleRestore = async (version) => {
+        if (!canPublish) return;
+        try {
+            await auditedUpdate(admin, "release.restore", doc(db, "app_versions", version.id), restoreChanges(),
+                `v${version.versionName} (${version.versionCode})`);
+        } catch (error) {
+            console.error("Error restoring version:", error);
+            alert("❌ Error: " + error.message);
+        }
+    };
+
+    // Deactivate every newer release and offer the target to all devices
+    const handleRollback = async () => {
+        if (!canPublish) return;
+        const target = rollbackTarget;
+        const label = (v) => `v${v.versionName} (${v.versionCode})`;
+        setRollingBack(true);
+        try {
+            await auditedWrite(admin, "release.rollback", [
+                { ref: doc(db, "app_versions", target.id), changes: rollbackTargetChanges(), label: label(target) },
+                ...rollbackDeactivations(versions, target).map((v) => ({
+                    ref: doc(db, "app_versions", v.id),
+                    changes: { isActive: false },
+                    label: label(v),
+                })),
+            ]);
+            setRollbackTarget(null);
+            alert(`✅ Rolled back to ${label(target)}`);
+        } catch (error) {
+            console.error("Error rolling back:", error);
+            alert("❌ Error: " + error.message);
+        }
+        setRollingBack(false);
+    };
+
+    // Advance, pause, resume or halt a staged rollout
+    const changeRollout = async (version, action) => {
+        if (!canPublish) return;
+        const label = `v${version.versionName} (${version.versionCode})`;
+        const changes = {
+            advance: { rolloutPercent: nextRolloutStep(version) },
+            pause: { rolloutState: "paused" },
+            resume: { rolloutState: "active" },
+            halt: { rolloutState: "halted" },
+        }[action];
+        if (action === "halt" && !window.confirm(`Halt the rollout of ${label}? No more devices will be offered it, and a halted rollout can't be resumed.`)) return;
+
+        try {
+            await auditedUpdate(admin, `release.${action}`, doc(db, "app_versions", version.id), {
+                ...changes,
+                rolloutUpdatedAt: new Date(),
+            }, label);
+        } catch (error) {
+            console.error("Error changing rollout:", error);
+            alert("❌ Error: " + error.message);
+        }
+    };
+
+    // Bucket every active user's device (reads all active users)
+    const countCohorts = async () => {
+        setCountingCohorts(true);
+        try {
+            const snapshot = await getDocs(activeUsersQuery());
+            const deviceIds = snapshot.docs.map((d) => d.data().deviceId).filter(Boolean);
+            setCohorts({ histogram: bucketHistogram(deviceIds), total: snapshot.size });
+        } catch (error) {
+            console.error("Error counting rollout cohorts:", error);
+            alert("❌ Error: " + error.message);
+        }
+        setCountingCohorts(false);
+    };
+
+    const columnCount = canPublish ? 7 : 6;
+
+    // Active users offered a version at a percentage; users without a device only count at 100%
+    const cohortCount = (percent) => (percent >= 100 ? cohorts.total : cohortSize(cohorts.histogram, percent));
 
     return (
         <div className="space-y-6">
+            {/* Read-only notice for admins who cannot publish */}
+            {!canPublish && (
+                <div className={`rounded-xl p-4 border text-sm ${darkMode ? "bg-yellow-900/20 border-yellow-700 text-yellow-300" : "bg-yellow-50 border-yellow-200 text-yellow-800"
+                    }`}>
+                    🔒 Your role can view releases but not publish or change them.
+                </div>
+            )}
+
             {/* Upload Section */}
-            <div className={`rounded-xl shadow-md p-6 border transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
-                }`}>
-                <h2 className={`text-xl font-bold mb-4 flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"
+            {canPublish && (
+                <div className={`rounded-xl shadow-md p-6 border transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
                     }`}>
-                    <span className="text-2xl">📱</span>
-                    Add New APK Version
-                </h2>
-
-                <div className="space-y-4">
-                    {/* Download URL */}
-                    <div>
-                        <label className={`block text-sm font-semibold mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"
-                            }`}>
-                            APK Download URL (Google Drive, GitHub, etc.)
-                        </label>
-                        <input
-                            type="url"
-                            value={downloadUrl}
-                            onChange={(e) => setDownloadUrl(e.target.value)}
-                            disabled={uploading}
-                            placeholder="https://drive.google.com/file/d/xxx/view?usp=sharing"
-                            className={`w-full px-4 py-2 rounded-lg border text-sm ${darkMode
-                                ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
-                                : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
-                                } ${errors.downloadUrl ? "border-red-500" : ""}`}
-                        />
-                        {errors.downloadUrl && (
-                            <p className="text-red-500 text-xs mt-1">{errors.downloadUrl}</p>
-                        )}
-                        <p className={`text-xs mt-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
-                            💡 Upload APK to Google Drive/GitHub, get shareable link, paste here
-                        </p>
-                    </div>
+                    <h2 className={`text-xl font-bold mb-4 flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"
+                        }`}>
+                        <span className="text-2xl">📱</span>
+                        Add New APK Version
+                    </h2>
 
-                    {/* Version Name & Code & File Size */}
-                    <div className="grid grid-cols-3 gap-4">
+                    <div className="space-y-4">
+                        {/* APK File */}
                         <div>
                             <label className={`block text-sm font-semibold mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"
                                 }`}>
-                                Version Name
+                                APK File
                             </label>
-                            <input
-                                type="text"
-                                value={versionName}
-                                onChange={(e) => setVersionName(e.target.value)}
-                                disabled={uploading}
-                                placeholder="1.10"
-                                className={`w-full px-4 py-2 rounded-lg border text-sm ${darkMode
-                                    ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
-                                    : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
-                                    } ${errors.versionName ? "border-red-500" : ""}`}
-                            />
-                            {errors.versionName && (
-                                <p className="text-red-500 text-xs mt-1">{errors.versionName}</p>
+                            {!apk ? (
+                                <input
+                                    type="file"
+                                    accept={`.apk,${APK_CONTENT_TYPE}`}
+                                    onChange={(e) => {
+                                        handleFileSelect(e.target.files[0]);
+                                        e.target.value = "";
+                                    }}
+                                    disabled={uploading || !APP_PACKAGE}
+                                    className={`w-full px-4 py-2 rounded-lg border text-sm cursor-pointer disabled:cursor-not-allowed disabled:opacity-50 ${darkMode
+                                        ? "bg-gray-700 border-gray-600 text-white"
+                                        : "bg-white border-gray-300 text-gray-900"
+                                        } ${errors.apk ? "border-red-500" : ""}`}
+                                />
+                            ) : (
+                                <div className={`p-3 rounded-lg border ${darkMode ? "bg-gray-700 border-gray-600" : "bg-gray-50 border-gray-200"}`}>
+                                    <div className="flex items-center justify-between gap-3">
+                                        <p className={`text-sm font-semibold truncate ${darkMode ? "text-white" : "text-gray-900"}`}>
+                                            📦 {apk.fileName}
+                                        </p>
+                                        <button
+                                            onClick={handleRemoveApk}
+                                            disabled={uploading}
+                                            className="text-xs font-semibold text-red-500 hover:underline disabled:opacity-50"
+                                        >
+                                            {apk.done ? "Remove" : "Cancel"}
+                                        </button>
+                                    </div>
+                                    <div className={`h-2 rounded-full overflow-hidden mt-2 ${darkMode ? "bg-gray-600" : "bg-gray-200"}`}>
+                                        <div
+                                            className={`h-full transition-all duration-300 ${apk.done ? "bg-green-500" : "bg-blue-600"}`}
+                                            style={{ width: `${apk.fileSize ? (apk.transferred / apk.fileSize) * 100 : 100}%` }}
+                                        />
+                                    </div>
+                                    <p className={`text-xs mt-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                                        {apk.done
+                                            ? `✓ Uploaded · ${apk.fileSize.toLocaleString()} bytes (${formatFileSize(apk.fileSize)})`
+                                            : `⏳ Uploading ${formatFileSize(apk.transferred)} / ${formatFileSize(apk.fileSize)}`}
+                                    </p>
+                                    <p className={`text-xs mt-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                                        {apk.manifest.packageName} · v{apk.manifest.versionName || "?"} ({apk.manifest.versionCode})
+                                        {apk.manifest.minSdk && ` · minSdk ${apk.manifest.minSdk}`}
+                                    </p>
+                                    {apk.sha256 && (
+                                        <p className={`text-xs mt-1 font-mono break-all ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                                            SHA-256 {apk.sha256}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+                            {!APP_PACKAGE && (
+                                <p className="text-red-500 text-xs mt-1">
+                                    ⛔ Uploads are disabled: set VITE_APP_PACKAGE to the app's package name and rebuild
+                                </p>
                             )}
+                            {apkProblems.map((problem) => (
+                                <p key={problem} className="text-red-500 text-xs mt-1">⛔ {problem}</p>
+                            ))}
+                            {errors.apk && apkProblems.length === 0 && (
+                                <p className="text-red-500 text-xs mt-1">{errors.apk}</p>
+                            )}
+                        </div>
+
+                        {/* Version Name & Code */}
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className={`block text-sm font-semibold mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"
+                                    }`}>
+                                    Version Name
+                                </label>
+                                <input
+                                    type="text"
+                                    value={versionName}
+                                    onChange={(e) => setVersionName(e.target.value)}
+                                    disabled={uploading}
+                                    placeholder="1.10"
+                                    className={`w-full px-4 py-2 rounded-lg border text-sm ${darkMode
+                                        ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+                                        : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+                                        } ${errors.versionName ? "border-red-500" : ""}`}
+                                />
+                                {errors.versionName && (
+                                    <p className="text-red-500 text-xs mt-1">{errors.versionName}</p>
+                                )}
+                            </div>
+
+                            <div>
+                                <label className={`block text-sm font-semibold mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"
+                                    }`}>
+                                    Version Code
+                                </label>
+                                <input
+                                    type="number"
+                                    value={versionCode}
+                                    onChange={(e) => setVersionCode(e.target.value)}
+                                    disabled={uploading}
+                                    placeholder="18"
+                                    className={`w-full px-4 py-2 rounded-lg border text-sm ${darkMode
+                                        ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+                                        : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+                                        } ${errors.versionCode ? "border-red-500" : ""}`}
+                                />
+                                {errors.versionCode && (
+                                    <p className="text-red-500 text-xs mt-1">{errors.versionCode}</p>
+                                )}
+                            </div>
                         </div>
 
+                        {/* Changelog */}
                         <div>
                             <label className={`block text-sm font-semibold mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"
                                 }`}>
-                                Version Code
+                                What's New / Changelog
                             </label>
-                            <input
-                                type="number"
-                                value={versionCode}
-                                onChange={(e) => setVersionCode(e.target.value)}
+                            <textarea
+                                value={changelog}
+                                onChange={(e) => setChangelog(e.target.value)}
                                 disabled={uploading}
-                                placeholder="18"
+                                rows="4"
+                                placeholder="- Bug fixes&#10;- Performance improvements&#10;- New features"
                                 className={`w-full px-4 py-2 rounded-lg border text-sm ${darkMode
                                     ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
                                     : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
-                                    } ${errors.versionCode ? "border-red-500" : ""}`}
+                                    } ${errors.changelog ? "border-red-500" : ""}`}
                             />
-                            {errors.versionCode && (
-                                <p className="text-red-500 text-xs mt-1">{errors.versionCode}</p>
+                            {errors.changelog && (
+                                <p className="text-red-500 text-xs mt-1">{errors.changelog}</p>
                             )}
                         </div>
 
+                        {/* Forced Update */}
                         <div>
-                            <label className={`block text-sm font-semibold mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"
-                                }`}>
-                                File Size (MB)
-                            </label>
-                            <input
-                                type="number"
-                                step="0.01"
-                                value={fileSize}
-                                onChange={(e) => setFileSize(e.target.value)}
-                                disabled={uploading}
-                                placeholder="25.5"
-                                className={`w-full px-4 py-2 rounded-lg border text-sm ${darkMode
-                                    ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
-                                    : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
-                                    } ${errors.fileSize ? "border-red-500" : ""}`}
-                            />
-                            {errors.fileSize && (
-                                <p className="text-red-500 text-xs mt-1">{errors.fileSize}</p>
+                            <div className="flex flex-wrap items-center gap-2">
+                                <label
+                                    htmlFor="force-mode"
+                                    className={`text-sm font-medium ${darkMode ? "text-gray-300" : "text-gray-700"}`}
+                                >
+                                    🚨 Force update (users must install or exit app)
+                                </label>
+                                <select
+                                    id="force-mode"
+                                    value={forceMode}
+                                    onChange={(e) => setForceMode(e.target.value)}
+                                    disabled={uploading}
+                                    className={`px-3 py-1.5 rounded-lg border text-sm cursor-pointer ${darkMode
+                                        ? "bg-gray-700 border-gray-600 text-white"
+                                        : "bg-white border-gray-300 text-gray-900"
+                                        }`}
+                                >
+                                    <option value="all">for every older version</option>
+                                    <option value="below">for versions below…</option>
+                                    <option value="none">never, only suggest it</option>
+                                </select>
+                                {forceMode === "below" && (
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={forceBelow}
+                                        onChange={(e) => setForceBelow(e.target.value)}
+                                        disabled={uploading}
+                                        placeholder="15"
+                                        className={`w-24 px-3 py-1.5 rounded-lg border text-sm ${darkMode
+                                            ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+                                            : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+                                            } ${errors.forceBelow ? "border-red-500" : ""}`}
+                                    />
+                                )}
+                            </div>
+                            {errors.forceBelow && (
+                                <p className="text-red-500 text-xs mt-1">{errors.forceBelow}</p>
                             )}
                         </div>
-                    </div>
 
-                    {/* Changelog */}
-                    <div>
-                        <label className={`block text-sm font-semibold mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"
-                            }`}>
-                            What's New / Changelog
-                        </label>
-                        <textarea
-                            value={changelog}
-                            onChange={(e) => setChangelog(e.target.value)}
-                            disabled={uploading}
-                            rows="4"
-                            placeholder="- Bug fixes&#10;- Performance improvements&#10;- New features"
-                            className={`w-full px-4 py-2 rounded-lg border text-sm ${darkMode
-                                ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
-                                : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
-                                } ${errors.changelog ? "border-red-500" : ""}`}
-                        />
-                        {errors.changelog && (
-                            <p className="text-red-500 text-xs mt-1">{errors.changelog}</p>
-                        )}
-                    </div>
+                        {/* Initial Rollout */}
+                        <div className="flex items-center gap-2">
+                            <label
+                                htmlFor="initial-rollout"
+                                className={`text-sm font-medium ${darkMode ? "text-gray-300" : "text-gray-700"}`}
+                            >
+                                🚀 Roll out to
+                            </label>
+                            <select
+                                id="initial-rollout"
+                                value={rolloutPercent}
+                                onChange={(e) => setRolloutPercent(Number(e.target.value))}
+                                disabled={uploading}
+                                className={`px-3 py-1.5 rounded-lg border text-sm cursor-pointer ${darkMode
+                                    ? "bg-gray-700 border-gray-600 text-white"
+                                    : "bg-white border-gray-300 text-gray-900"
+                                    }`}
+                            >
+                                {ROLLOUT_STEPS.map((step) => (
+                                    <option key={step} value={step}>{step}% of devices</option>
+                                ))}
+                            </select>
+                        </div>
 
-                    {/* Critical Update */}
-                    <div className="flex items-center gap-2">
-                        <input
-                            type="checkbox"
-                            id="critical-update"
-                            checked={isCritical}
-                            onChange={(e) => setIsCritical(e.target.checked)}
-                            disabled={uploading}
-                            className="w-4 h-4 rounded"
-                        />
-                        <label
-                            htmlFor="critical-update"
-                            className={`text-sm font-medium cursor-pointer ${darkMode ? "text-gray-300" : "text-gray-700"
+                        {/* Submit Button */}
+                        <button
+                            onClick={handleSubmit}
+                            disabled={uploading || (apk && !apk.done) || apkProblems.length > 0}
+                            className={`w-full py-3 rounded-lg font-semibold text-sm transition-all shadow-md hover:shadow-lg ${uploading || (apk && !apk.done) || apkProblems.length > 0
+                                ? "bg-gray-400 cursor-not-allowed text-gray-700"
+                                : "bg-blue-600 hover:bg-blue-700 text-white"
                                 }`}
                         >
-                            🚨 Force Update (Users must install or exit app)
-                        </label>
+                            {uploading ? "⏳ Saving..." : "✅ Add Version"}
+                        </button>
                     </div>
-
-                    {/* Submit Button */}
-                    <button
-                        onClick={handleSubmit}
-                        disabled={uploading}
-                        className={`w-full py-3 rounded-lg font-semibold text-sm transition-all shadow-md hover:shadow-lg ${uploading
-                            ? "bg-gray-400 cursor-not-allowed text-gray-700"
-                            : "bg-blue-600 hover:bg-blue-700 text-white"
-                            }`}
-                    >
-                        {uploading ? "⏳ Saving..." : "✅ Add Version"}
-                    </button>
                 </div>
-            </div>
+            )}
 
             {/* Current Version Info */}
-            {latestVersion && (
+            {currentVersion && (
                 <div className={`rounded-xl shadow-md p-6 border transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
                     }`}>
                     <h2 className={`text-xl font-bold mb-4 flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"
@@ -299,7 +618,7 @@ const UpdateManager = ({ darkMode }) => {
                             </p>
                             <p className={`text-2xl font-bold mt-1 ${darkMode ? "text-white" : "text-gray-900"
                                 }`}>
-                                {latestVersion.versionName}
+                                {currentVersion.versionName}
                             </p>
                         </div>
 
@@ -310,7 +629,7 @@ const UpdateManager = ({ darkMode }) => {
                             </p>
                             <p className={`text-2xl font-bold mt-1 ${darkMode ? "text-white" : "text-gray-900"
                                 }`}>
-                                {latestVersion.versionCode}
+                                {currentVersion.versionCode}
                             </p>
                         </div>
 
@@ -321,7 +640,7 @@ const UpdateManager = ({ darkMode }) => {
                             </p>
                             <p className={`text-2xl font-bold mt-1 ${darkMode ? "text-white" : "text-gray-900"
                                 }`}>
-                                {formatFileSize(latestVersion.fileSize)}
+                                {formatFileSize(currentVersion.fileSize)}
                             </p>
                         </div>
 
@@ -332,22 +651,49 @@ const UpdateManager = ({ darkMode }) => {
                             </p>
                             <p className={`text-2xl font-bold mt-1 ${darkMode ? "text-white" : "text-gray-900"
                                 }`}>
-                                {latestVersion.downloadCount || 0}
+                                {currentVersion.downloadCount || 0}
                             </p>
                         </div>
                     </div>
                 </div>
             )}
 
+            {/* Update Policy */}
+            <UpdatePolicyEditor darkMode={darkMode} admin={admin} versions={liveVersions} canEdit={canPublish} />
+
             {/* Version History */}
             <div className={`rounded-xl shadow-md border overflow-hidden transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
                 }`}>
-                <div className="p-6 pb-4">
+                <div className="p-6 pb-4 flex items-center justify-between gap-3">
                     <h2 className={`text-xl font-bold flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"
                         }`}>
                         <span className="text-2xl">📜</span>
                         Version History
                     </h2>
+                    <div className="flex items-center gap-2">
+                        {deletedCount > 0 && (
+                            <button
+                                onClick={() => setShowDeleted((prev) => !prev)}
+                                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${darkMode
+                                    ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                                    : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+                                    }`}
+                            >
+                                🗑 {showDeleted ? "Hide" : "Show"} deleted ({deletedCount})
+                            </button>
+                        )}
+                        <button
+                            onClick={countCohorts}
+                            disabled={countingCohorts}
+                            title="Reads every active user to count the devices in each rollout"
+                            className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all disabled:opacity-50 ${darkMode
+                                ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                                : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+                                }`}
+                        >
+                            {countingCohorts ? "⏳ Counting..." : cohorts ? "↻ Recount cohorts" : "👥 Count cohorts"}
+                        </button>
+                    </div>
                 </div>
 
                 <div className="overflow-x-auto">
@@ -367,6 +713,10 @@ const UpdateManager = ({ darkMode }) => {
                                     }`}>
                                     Added
                                 </th>
+                                <th className={`px-6 py-3 text-left text-xs font-bold uppercase tracking-wider ${darkMode ? "text-gray-300" : "text-gray-700"
+                                    }`}>
+                                    Rollout
+                                </th>
                                 <th className={`px-6 py-3 text-center text-xs font-bold uppercase tracking-wider ${darkMode ? "text-gray-300" : "text-gray-700"
                                     }`}>
                                     Status
@@ -375,83 +725,230 @@ const UpdateManager = ({ darkMode }) => {
                                     }`}>
                                     Download
                                 </th>
+                                {canPublish && (
+                                    <th className={`px-6 py-3 text-center text-xs font-bold uppercase tracking-wider ${darkMode ? "text-gray-300" : "text-gray-700"
+                                        }`}>
+                                        Actions
+                                    </th>
+                                )}
                             </tr>
                         </thead>
                         <tbody className={`divide-y ${darkMode ? "bg-gray-800 divide-gray-700" : "bg-white divide-gray-100"
                             }`}>
-                            {versions.length === 0 ? (
+                            {listedVersions.length === 0 ? (
                                 <tr>
-                                    <td colSpan="5" className="text-center py-12">
+                                    <td colSpan={columnCount} className="text-center py-12">
                                         <span className="text-5xl mb-3 block">📭</span>
                                         <p className={`text-base font-medium ${darkMode ? "text-gray-400" : "text-gray-500"
                                             }`}>
-                                            No versions added yet
+                                            {versions.length === 0 ? "No versions added yet" : "Every version is deleted"}
                                         </p>
                                     </td>
                                 </tr>
                             ) : (
-                                versions.map((version) => (
-                                    <tr key={version.id} className={`${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-50"
-                                        }`}>
-                                        <td className="px-6 py-4 whitespace-nowrap">
-                                            <div>
-                                                <p className={`text-sm font-bold ${darkMode ? "text-white" : "text-gray-900"
-                                                    }`}>
-                                                    v{version.versionName}
-                                                </p>
-                                                <p className={`text-xs ${darkMode ? "text-gray-400" : "text-gray-500"
-                                                    }`}>
-                                                    Code: {version.versionCode}
-                                                </p>
-                                                {version.isCritical && (
-                                                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold bg-red-100 text-red-800 mt-1">
-                                                        🚨 Forced
-                                                    </span>
-                                                )}
-                                            </div>
-                                        </td>
-                                        <td className="px-6 py-4">
-                                            <p className={`text-xs whitespace-pre-line ${darkMode ? "text-gray-300" : "text-gray-700"
+                                listedVersions.map((version) => {
+                                    const deleted = isDeleted(version);
+                                    const canRollBack = !deleted && liveVersions.some((v) => v.isActive && v.versionCode > version.versionCode);
+                                    const percent = getRolloutPercent(version);
+                                    const rolloutState = getRolloutState(version);
+                                    const nextStep = nextRolloutStep(version);
+                                    return (
+                                        <React.Fragment key={version.id}>
+                                            <tr className={`${deleted ? "opacity-60" : ""} ${darkMode ? "hover:bg-gray-700" : "hover:bg-gray-50"
                                                 }`}>
-                                                {version.changelog}
-                                            </p>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-xs">
-                                            <p className={darkMode ? "text-gray-400" : "text-gray-500"}>
-                                                {version.uploadedAt
-                                                    ? new Date(version.uploadedAt.seconds * 1000).toLocaleString()
-                                                    : "N/A"}
-                                            </p>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-center">
-                                            <button
-                                                onClick={() => toggleVersionStatus(version.id, version.isActive)}
-                                                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors duration-200 ${version.isActive ? "bg-green-500" : "bg-gray-400"
-                                                    }`}
-                                            >
-                                                <span
-                                                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform duration-200 ${version.isActive ? "translate-x-6" : "translate-x-1"
-                                                        }`}
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    <div>
+                                                        <p className={`text-sm font-bold ${darkMode ? "text-white" : "text-gray-900"
+                                                            }`}>
+                                                            v{version.versionName}
+                                                        </p>
+                                                        <p className={`text-xs ${darkMode ? "text-gray-400" : "text-gray-500"
+                                                            }`}>
+                                                            Code: {version.versionCode}
+                                                        </p>
+                                                        {getForceBelow(version) !== null && (
+                                                            <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold bg-red-100 text-red-800 mt-1">
+                                                                🚨 {getForceBelow(version) >= version.versionCode ? "Forced" : `Forced below ${getForceBelow(version)}`}
+                                                            </span>
+                                                        )}
+                                                        {deleted && (
+                                                            <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold bg-gray-200 text-gray-700 mt-1 ml-1">
+                                                                🗑 Deleted
+                                                            </span>
+                                                        )}
+                                                    </div>
+                                                </td>
+                                                <td className="px-6 py-4">
+                                                    <p className={`text-xs whitespace-pre-line ${darkMode ? "text-gray-300" : "text-gray-700"
+                                                        }`}>
+                                                        {version.changelog}
+                                                    </p>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-xs">
+                                                    <p className={darkMode ? "text-gray-400" : "text-gray-500"}>
+                                                        {version.uploadedAt
+                                                            ? new Date(version.uploadedAt.seconds * 1000).toLocaleString()
+                                                            : "N/A"}
+                                                    </p>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-xs">
+                                                    <div className="flex items-center gap-2">
+                                                        <span className={`font-bold ${darkMode ? "text-white" : "text-gray-900"}`}>{percent}%</span>
+                                                        {percent < 100 && (
+                                                            <span className={`px-2 py-0.5 rounded font-semibold ${ROLLOUT_STATES[rolloutState].badge}`}>
+                                                                {ROLLOUT_STATES[rolloutState].icon} {ROLLOUT_STATES[rolloutState].label}
+                                                            </span>
+                                                        )}
+                                                    </div>
+                                                    <div className={`h-1.5 w-32 rounded-full overflow-hidden mt-1 ${darkMode ? "bg-gray-600" : "bg-gray-200"}`}>
+                                                        <div
+                                                            className={`h-full ${rolloutState === "active" ? "bg-blue-600" : "bg-gray-400"}`}
+                                                            style={{ width: `${percent}%` }}
+                                                        />
+                                                    </div>
+                                                    {cohorts && (
+                                                        <p className={`mt-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                                                            👥 {cohortCount(percent).toLocaleString()} of {cohorts.total.toLocaleString()} active users
+                                                            {nextStep && ` · ${nextStep}%: ${cohortCount(nextStep).toLocaleString()}`}
+                                                        </p>
+                                                    )}
+                                                    {canPublish && version.isActive && percent < 100 && rolloutState !== "halted" && (
+                                                        <div className="flex items-center gap-2 mt-2">
+                                                            {rolloutState === "active" ? (
+                                                                <>
+                                                                    <button
+                                                                        onClick={() => changeRollout(version, "advance")}
+                                                                        className="font-semibold text-blue-600 hover:underline"
+                                                                    >
+                                                                        ⏫ {nextStep}%
+                                                                    </button>
+                                                                    <button
+                                                                        onClick={() => changeRollout(version, "pause")}
+                                                                        className="font-semibold text-yellow-600 hover:underline"
+                                                                    >
+                                                                        ⏸ Pause
+                                                                    </button>
+                                                                </>
+                                                            ) : (
+                                                                <button
+                                                                    onClick={() => changeRollout(version, "resume")}
+                                                                    className="font-semibold text-green-600 hover:underline"
+                                                                >
+                                                                    ▶ Resume
+                                                                </button>
+                                                            )}
+                                                            <button
+                                                                onClick={() => changeRollout(version, "halt")}
+                                                                className="font-semibold text-red-500 hover:underline"
+                                                            >
+                                                                ⛔ Halt
+                                                            </button>
+                                                        </div>
+                                                    )}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-center">
+                                                    <button
+                                                        onClick={() => toggleVersionStatus(version)}
+                                                        disabled={!canPublish || deleted}
+                                                        className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${version.isActive ? "bg-green-500" : "bg-gray-400"
+                                                            }`}
+                                                    >
+                                                        <span
+                                                            className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform duration-200 ${version.isActive ? "translate-x-6" : "translate-x-1"
+                                                                }`}
+                                                        />
+                                                    </button>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-center">
+                                                    <a
+                                                        href={version.downloadUrl}
+                                                        target="_blank"
+                                                        rel="noopener noreferrer"
+                                                        className="text-blue-600 hover:text-blue-700 text-sm font-semibold"
+                                                    >
+                                                        📥 Link
+                                                    </a>
+                                                    {version.fileSize > 0 && (
+                                                        <p className={`text-xs mt-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                                                            {formatFileSize(version.fileSize)}
+                                                        </p>
+                                                    )}
+                                                    {version.sha256 && (
+                                                        <p
+                                                            title={`SHA-256 ${version.sha256}`}
+                                                            className={`text-xs font-mono ${darkMode ? "text-gray-500" : "text-gray-400"}`}
+                                                        >
+                                                            {version.sha256.slice(0, 12)}…
+                                                        </p>
+                                                    )}
+                                                </td>
+                                                {canPublish && (
+                                                    <td className="px-6 py-4 whitespace-nowrap text-center text-xs">
+                                                        {deleted ? (
+                                                            <button
+                                                                onClick={() => handleRestore(version)}
+                                                                className="font-semibold text-green-600 hover:underline"
+                                                            >
+                                                                ↺ Restore
+                                                            </button>
+                                                        ) : (
+                                                            <div className="flex flex-col items-center gap-1">
+                                                                <button
+                                                                    onClick={() => setEditingId(editingId === version.id ? null : version.id)}
+                                                                    disabled={savingEdit}
+                                                                    className="font-semibold text-blue-600 hover:underline"
+                                                                >
+                                                                    ✏️ Edit
+                                                                </button>
+                                                                {canRollBack && (
+                                                                    <button
+                                                                        onClick={() => setRollbackTarget(version)}
+                                                                        className="font-semibold text-orange-600 hover:underline"
+                                                                    >
+                                                                        ⏪ Roll back to this
+                                                                    </button>
+                                                                )}
+                                                                <button
+                                                                    onClick={() => handleDelete(version)}
+                                                                    className="font-semibold text-red-500 hover:underline"
+                                                                >
+                                                                    🗑 Delete
+                                                                </button>
+                                                            </div>
+                                                        )}
+                                                    </td>
+                                                )}
+                                            </tr>
+                                            {editingId === version.id && (
+                                                <VersionEditRow
+                                                    darkMode={darkMode}
+                                                    version={version}
+                                                    colSpan={columnCount}
+                                                    saving={savingEdit}
+                                                    onSave={(changes) => handleEditSave(version, changes)}
+                                                    onCancel={() => setEditingId(null)}
                                                 />
-                                            </button>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-center">
-                                            <a
-                                                href={version.downloadUrl}
-                                                target="_blank"
-                                                rel="noopener noreferrer"
-                                                className="text-blue-600 hover:text-blue-700 text-sm font-semibold"
-                                            >
-                                                📥 Link
-                                            </a>
-                                        </td>
-                                    </tr>
-                                ))
+                                            )}
+                                        </React.Fragment>
+                                    );
+                                })
                             )}
                         </tbody>
                     </table>
                 </div>
             </div>
+
+            {/* Rollback Confirmation */}
+            {rollbackTarget && (
+                <RollbackDialog
+                    darkMode={darkMode}
+                    target={rollbackTarget}
+                    deactivations={rollbackDeactivations(versions, rollbackTarget)}
+                    saving={rollingBack}
+                    onConfirm={handleRollback}
+                    onClose={() => !rollingBack && setRollbackTarget(null)}
+                />
+            )}
         </div>
     );
 };
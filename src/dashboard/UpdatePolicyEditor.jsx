@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useRef } from "react";
+import { onSnapshot, doc } from "firebase/firestore";
+import { db } from "../firebase";
+import { auditedWrite } from "../utils/audit";
+import { getRolloutPercent, getRolloutState } from "../utils/rollout";
+import {
+  DEFAULT_UPDATE_POLICY, UPDATE_ACTIONS, toUpdatePolicy, getForceBelow, legacyCritical, updateDecision,
+} from "../utils/updatePolicy";
+
+const policyRef = () => doc(db, "app_config", "update_policy");
+
+// Global update policy (app_config/update_policy), per-release "force below"
+// codes, and a preview of what the app does on every released versionCode.
+// The preview reflects unsaved edits.
+const UpdatePolicyEditor = ({ darkMode, admin, versions, canEdit }) => {
+  const [policy, setPolicy] = useState(DEFAULT_UPDATE_POLICY);
+  const [minInput, setMinInput] = useState("");
+  const [reminderInput, setReminderInput] = useState("");
+  const [forceInputs, setForceInputs] = useState({}); // Edited "force below" codes, by version id
+  const [saving, setSaving] = useState(false);
+  const seededRef = useRef({ min: "", reminder: "" }); // Input values last taken from the saved policy
+
+  // Real-time listener for the saved policy. Inputs follow it only while
+  // they hold the last saved value, so edits in progress aren't overwritten.
+  useEffect(() => {
+    const unsubscribe = onSnapshot(policyRef(), (snapshot) => {
+      const next = toUpdatePolicy(snapshot.exists() ? snapshot.data() : {});
+      const previous = seededRef.current;
+      const seed = {
+        min: next.minSupportedVersionCode ? String(next.minSupportedVersionCode) : "",
+        reminder: next.reminderIntervalHours ? String(next.reminderIntervalHours) : "",
+      };
+      seededRef.current = seed;
+      setPolicy(next);
+      setMinInput((current) => (current === previous.min ? seed.min : current));
+      setReminderInput((current) => (current === previous.reminder ? seed.reminder : current));
+    }, (error) => console.error("Error loading update policy:", error));
+    return () => unsubscribe();
+  }, []);
+
+  const forceInput = (version) => forceInputs[version.id] ?? String(getForceBelow(version) ?? "");
+  const parseCode = (value) => (value.trim() === "" ? null : parseInt(value, 10));
+
+  // Policy and releases as they would be saved
+  const draftPolicy = toUpdatePolicy({ minSupportedVersionCode: minInput, reminderIntervalHours: reminderInput });
+  const draftVersions = versions.map((v) => ({ ...v, forceBelowVersionCode: parseCode(forceInput(v)) }));
+  const changedVersions = draftVersions.filter((v, i) => v.forceBelowVersionCode !== getForceBelow(versions[i]));
+  const offered = draftVersions.filter((v) => v.isActive && getRolloutState(v) === "active");
+
+  const problems = [];
+  if (minInput.trim() && !(draftPolicy.minSupportedVersionCode > 0)) problems.push("Minimum supported version must be a positive version code");
+  if (draftPolicy.minSupportedVersionCode && !offered.some((v) => v.versionCode >= draftPolicy.minSupportedVersionCode)) {
+    problems.push("No active release is at or above the minimum supported version, so forced installs can't reach it");
+  }
+  draftVersions.forEach((v) => {
+    const value = v.forceBelowVersionCode;
+    if (value !== null && !(value > 0 && value <= v.versionCode)) {
+      problems.push(`v${v.versionName}: force below must be between 1 and ${v.versionCode}`);
+    }
+  });
+  const isDirty = changedVersions.length > 0
+    || draftPolicy.minSupportedVersionCode !== policy.minSupportedVersionCode
+    || draftPolicy.reminderIntervalHours !== policy.reminderIntervalHours;
+
+  // 🔹 Save the policy and changed releases together
+  const handleSave = async () => {
+    if (!canEdit || problems.length > 0 || !isDirty) return;
+    setSaving(true);
+    try {
+      await auditedWrite(admin, "config.updatePolicy", [
+        {
+          ref: policyRef(),
+          type: "set",
+          label: "Update policy",
+          changes: { ...draftPolicy, updatedAt: new Date(), updatedBy: admin.email },
+        },
+        ...changedVersions.map((v) => ({
+          ref: doc(db, "app_versions", v.id),
+          label: `v${v.versionName} (${v.versionCode})`,
+          changes: {
+            forceBelowVersionCode: v.forceBelowVersionCode,
+            isCritical: legacyCritical(v.versionCode, v.forceBelowVersionCode),
+          },
+        })),
+      ]);
+      setForceInputs({});
+    } catch (error) {
+      console.error("Error saving update policy:", error);
+      alert("❌ Failed to save update policy: " + error.message);
+    }
+    setSaving(false);
+  };
+
+  const inputClass = `border px-3 py-1.5 rounded-lg text-sm ${darkMode
+    ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+    : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+    }`;
+  const labelClass = `block text-xs font-bold uppercase mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`;
+  const headerClass = `px-4 py-2 text-left text-xs font-bold uppercase tracking-wider ${darkMode ? "text-gray-300" : "text-gray-700"}`;
+
+  return (
+    <div className={`rounded-xl shadow-md p-6 border transition-all duration-300 ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-100"
+      }`}>
+      <h2 className={`text-xl font-bold mb-4 flex items-center gap-2 ${darkMode ? "text-white" : "text-gray-900"}`}>
+        <span className="text-2xl">🛡️</span>
+        Update Policy
+      </h2>
+
+      {/* Global settings */}
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <div>
+          <label className={labelClass}>Minimum supported version code</label>
+          <input
+            type="number"
+            min="1"
+            value={minInput}
+            onChange={(e) => setMinInput(e.target.value)}
+            disabled={!canEdit || saving}
+            placeholder="None"
+            className={`${inputClass} w-40`}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Remind about updates every</label>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="1"
+              value={reminderInput}
+              onChange={(e) => setReminderInput(e.target.value)}
+              disabled={!canEdit || saving}
+              placeholder="Launch"
+              className={`${inputClass} w-28`}
+            />
+            <span className={`text-sm ${darkMode ? "text-gray-400" : "text-gray-500"}`}>hours</span>
+          </div>
+        </div>
+        {canEdit && (
+          <button
+            onClick={handleSave}
+            disabled={saving || !isDirty || problems.length > 0}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg text-sm font-semibold transition-all shadow-sm"
+          >
+            {saving ? "⏳ Saving..." : "💾 Save Policy"}
+          </button>
+        )}
+      </div>
+
+      {problems.map((problem) => (
+        <p key={problem} className="text-red-500 text-xs mb-1">⛔ {problem}</p>
+      ))}
+
+      {/* Per-release rules and preview */}
+      {versions.length > 0 && (
+        <div className="overflow-x-auto mt-2">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className={darkMode ? "bg-gray-700" : "bg-gray-50"}>
+              <tr>
+                <th className={headerClass}>Version</th>
+                <th className={headerClass}>Release forces installs below</th>
+                <th className={headerClass}>Devices on this version</th>
+              </tr>
+            </thead>
+            <tbody className={`divide-y ${darkMode ? "divide-gray-700" : "divide-gray-100"}`}>
+              {draftVersions.map((version) => {
+                const decision = updateDecision(version.versionCode, offered, draftPolicy);
+                const action = UPDATE_ACTIONS[decision.action];
+                return (
+                  <tr key={version.id}>
+                    <td className={`px-4 py-2 whitespace-nowrap text-sm ${darkMode ? "text-white" : "text-gray-900"}`}>
+                      <span className="font-bold">v{version.versionName}</span>
+                      <span className={`ml-2 text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                        Code {version.versionCode}
+                        {!offered.includes(version) && " · not offered"}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      <input
+                        type="number"
+                        min="1"
+                        max={version.versionCode}
+                        value={forceInput(version)}
+                        onChange={(e) => setForceInputs((prev) => ({ ...prev, [version.id]: e.target.value }))}
+                        disabled={!canEdit || saving}
+                        placeholder="Never"
+                        className={`${inputClass} w-28`}
+                      />
+                    </td>
+                    <td className="px-4 py-2 text-xs">
+                      <span className={`px-2 py-0.5 rounded font-semibold ${action.badge}`}>
+                        {action.icon} {action.label}
+                      </span>
+                      {decision.target && (
+                        <span className={`ml-2 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                          → v{decision.target.versionName}
+                          {getRolloutPercent(decision.target) < 100 && ` (${getRolloutPercent(decision.target)}% of devices)`}
+                        </span>
+                      )}
+                      <span className={`ml-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                        {decision.reason}
+                        {decision.action === "suggest" && draftPolicy.reminderIntervalHours && `, reminded every ${draftPolicy.reminderIntervalHours}h`}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UpdatePolicyEditor;
@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from "react";
+import { collection, onSnapshot, query, where } from "firebase/firestore";
+import { db } from "../firebase";
+import { PERMISSIONS } from "../utils/roles";
+import { formatAuditValue } from "../utils/audit";
+import { buildUserTimeline } from "../utils/userTimeline";
+import { USER_STATUSES, getUserStatus, isPending, isApproved, isLive, canTransition } from "../utils/userStatus";
+import { describeStatusReason } from "../utils/statusReasons";
+import { toDate } from "../utils/dates";
+import { FEATURES, hasFeature, getFeature, getRequestFeatureKey } from "../utils/features";
+import UserTags from "./UserTags";
+import UserNotes from "./UserNotes";
+
+// Array fields are summarised here and shown in full in the timeline
+const formatField = (value) =>
+  Array.isArray(value) ? `${value.length} entr${value.length === 1 ? "y" : "ies"}` : formatAuditValue(value);
+
+// Side drawer with every field of one user, their feature requests, an
+// account timeline, internal notes / tags and the same actions as the table row
+const UserDrawer = ({ darkMode, admin, user, tags, can, onAction, onApproveRequest, onRejectRequest, onClose }) => {
+  const [requests, setRequests] = useState([]);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [tab, setTab] = useState("timeline"); // timeline | notes | fields | requests
+
+  // Real-time listeners for this user's feature requests and audit entries
+  useEffect(() => {
+    const unsubscribeRequests = onSnapshot(
+      query(collection(db, "feature_requests"), where("userId", "==", user.id)),
+      (snapshot) => setRequests(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+      (error) => console.error("Error loading user requests:", error)
+    );
+    // Single-field filter (no composite index); other collections' ids are filtered out below
+    const unsubscribeAudit = onSnapshot(
+      query(collection(db, "admin_audit"), where("targetId", "==", user.id)),
+      (snapshot) => setAuditEntries(snapshot.docs.map((d) => d.data()).filter((e) => e.targetCollection === "users")),
+      (error) => console.error("Error loading user audit entries:", error)
+    );
+    return () => {
+      unsubscribeRequests();
+      unsubscribeAudit();
+    };
+  }, [user.id]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const timeline = buildUserTimeline(user, requests, auditEntries).reverse();
+  const fields = Object.keys(user).filter((key) => key !== "id").sort();
+  const sortedRequests = [...requests].sort((a, b) => (toDate(b.requestedAt) || 0) - (toDate(a.requestedAt) || 0));
+
+  const actionButton = "text-white font-semibold px-3 py-1.5 rounded-lg text-xs transition-all shadow-sm hover:shadow-md";
+  const mutedText = darkMode ? "text-gray-400" : "text-gray-500";
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/40" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className={`w-full max-w-xl h-full overflow-y-auto shadow-2xl border-l ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"
+          }`}
+      >
+        {/* Header */}
+        <div className={`sticky top-0 z-10 px-6 py-4 border-b ${darkMode ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}>
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <h2 className={`text-xl font-bold ${darkMode ? "text-white" : "text-gray-900"}`}>📱 {user.phone || "N/A"}</h2>
+              <p className={`text-sm ${mutedText}`}>
+                Agent {user.agentCode || "N/A"} ·{" "}
+                {USER_STATUSES[getUserStatus(user)].icon} {USER_STATUSES[getUserStatus(user)].label}
+              </p>
+              {!isLive(user) && user.statusReason && (
+                <p className="text-xs text-red-500 mt-1">{describeStatusReason(user)}</p>
+              )}
+              <UserTags darkMode={darkMode} admin={admin} user={user} tags={tags} canEdit={can(PERMISSIONS.MANAGE_USERS)} />
+            </div>
+            <button onClick={onClose} className={`text-2xl leading-none ${mutedText} hover:opacity-70`} title="Close">
+              ×
+            </button>
+          </div>
+
+          {/* Actions */}
+          <div className="flex flex-wrap gap-2 mt-4">
+            {isPending(user) && can(PERMISSIONS.REVIEW_USERS) && (
+              <>
+                <button onClick={() => onAction("approve", user)} className={`${actionButton} bg-green-500 hover:bg-green-600`}>✓ Approve</button>
+                <button onClick={() => onAction("reject", user)} className={`${actionButton} bg-red-500 hover:bg-red-600`}>✗ Reject</button>
+              </>
+            )}
+            {canTransition(user, "suspended") && can(PERMISSIONS.MANAGE_USERS) && (
+              <button onClick={() => onAction("deactivate", user)} className={`${actionButton} bg-orange-500 hover:bg-orange-600`}>⏸ Deactivate</button>
+            )}
+            {isApproved(user) && can(PERMISSIONS.MANAGE_USERS) && (
+              <>
+                <button onClick={() => onAction("extend", user)} className={`${actionButton} bg-indigo-500 hover:bg-indigo-600`}>⏩ Extend</button>
+                <button onClick={() => onAction("custom", user)} className={`${actionButton} bg-gray-500 hover:bg-gray-600`}>📅 Set expiry</button>
+              </>
+            )}
+            {!isLive(user) && can(PERMISSIONS.MANAGE_USERS) && (
+              <button onClick={() => onAction("activate", user)} className={`${actionButton} bg-blue-500 hover:bg-blue-600`}>▶ Activate</button>
+            )}
+            <button
+              onClick={(e) => onAction("features", user, e.currentTarget.getBoundingClientRect())}
+              className={`${actionButton} bg-green-600 hover:bg-green-700`}
+            >
+              🧩 Features ({FEATURES.filter((f) => hasFeature(user, f.key)).length}/{FEATURES.length})
+            </button>
+            <button onClick={() => onAction("device", user)} className={`${actionButton} bg-slate-500 hover:bg-slate-600`}>📲 Device</button>
+          </div>
+
+          {/* Tabs */}
+          <div className={`flex p-1 rounded-lg mt-4 ${darkMode ? "bg-gray-700" : "bg-gray-100"}`}>
+            {[["timeline", "Timeline"], ["notes", "Notes"], ["fields", "All fields"], ["requests", `Requests (${requests.length})`]].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setTab(key)}
+                className={`flex-1 px-3 py-1.5 rounded-lg text-xs md:text-sm font-semibold transition-all ${tab === key
+                  ? "bg-blue-600 text-white shadow-md"
+                  : darkMode ? "text-gray-300 hover:bg-gray-600" : "text-gray-600 hover:bg-white"
+                  }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="px-6 py-4">
+          {/* Timeline */}
+          {tab === "timeline" && (
+            <ol className={`relative border-l ml-2 ${darkMode ? "border-gray-600" : "border-gray-200"}`}>
+              {timeline.map((event, i) => (
+                <li key={i} className="mb-5 ml-5">
+                  <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full text-xs ${darkMode ? "bg-gray-700" : "bg-gray-100"}`}>
+                    {event.icon}
+                  </span>
+                  <p className={`text-sm font-semibold ${darkMode ? "text-white" : "text-gray-900"}`}>{event.title}</p>
+                  {event.detail && <p className={`text-xs ${darkMode ? "text-gray-300" : "text-gray-600"}`}>{event.detail}</p>}
+                  <p className={`text-xs ${mutedText}`}>
+                    {event.at.toLocaleString()}{event.by && ` · ${event.by}`}
+                  </p>
+                </li>
+              ))}
+              {timeline.length === 0 && <p className={`ml-5 text-sm ${mutedText}`}>No recorded history.</p>}
+            </ol>
+          )}
+
+          {/* Internal Notes */}
+          {tab === "notes" && (
+            <UserNotes darkMode={darkMode} admin={admin} user={user} canEdit={can(PERMISSIONS.MANAGE_USERS)} />
+          )}
+
+          {/* All Fields */}
+          {tab === "fields" && (
+            <dl className={`divide-y text-sm ${darkMode ? "divide-gray-700" : "divide-gray-100"}`}>
+              <div className="py-2 grid grid-cols-3 gap-3">
+                <dt className={`font-semibold ${mutedText}`}>id</dt>
+                <dd className={`col-span-2 font-mono text-xs break-all ${darkMode ? "text-gray-200" : "text-gray-800"}`}>{user.id}</dd>
+              </div>
+              {fields.map((key) => (
+                <div key={key} className="py-2 grid grid-cols-3 gap-3">
+                  <dt className={`font-semibold break-all ${mutedText}`}>{key}</dt>
+                  <dd className={`col-span-2 break-all ${darkMode ? "text-gray-200" : "text-gray-800"}`}>{formatField(user[key])}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+
+          {/* Feature Requests */}
+          {tab === "requests" && (
+            <div className="space-y-3">
+              {sortedRequests.length === 0 && <p className={`text-sm ${mutedText}`}>No feature requests.</p>}
+              {sortedRequests.map((request) => (
+                <div key={request.id} className={`p-3 rounded-lg border ${darkMode ? "border-gray-700 bg-gray-700/40" : "border-gray-200 bg-gray-50"}`}>
+                  <div className="flex items-center justify-between gap-3">
+                    <span className={`text-sm font-semibold ${darkMode ? "text-white" : "text-gray-900"}`}>
+                      {getFeature(getRequestFeatureKey(request))?.icon || "❔"} {getFeature(getRequestFeatureKey(request))?.label || request.featureKey}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded text-xs font-semibold ${request.status === "approved"
+                      ? "bg-green-100 text-green-800"
+                      : request.status === "rejected"
+                        ? "bg-red-100 text-red-800"
+                        : "bg-yellow-100 text-yellow-800"
+                      }`}>
+                      {request.status}
+                    </span>
+                  </div>
+                  <p className={`text-xs mt-1 ${mutedText}`}>
+                    Requested {toDate(request.requestedAt)?.toLocaleString() || "N/A"}
+                    {request.approvedBy && ` · approved by ${request.approvedBy}`}
+                    {request.rejectedBy && ` · rejected by ${request.rejectedBy}`}
+                  </p>
+                  {request.status === "pending" && can(PERMISSIONS.MANAGE_FEATURES) && (
+                    <div className="flex gap-2 mt-2">
+                      <button onClick={() => onApproveRequest(request.id, user.id)} className={`${actionButton} bg-green-500 hover:bg-green-600`}>✓ Approve</button>
+                      <button onClick={() => onRejectRequest(request.id)} className={`${actionButton} bg-red-500 hover:bg-red-600`}>✗ Reject</button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UserDrawer;
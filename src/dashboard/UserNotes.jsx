@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from "react";
+import { collection, doc, onSnapshot, orderBy, query } from "firebase/firestore";
+import { db } from "../firebase";
+import { auditedWrite } from "../utils/audit";
+import { toDate } from "../utils/dates";
+
+// Internal notes on one user, kept in the users/{id}/notes subcollection
+const UserNotes = ({ darkMode, admin, user, canEdit }) => {
+  const [notes, setNotes] = useState([]);
+  const [text, setText] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // Real-time listener for the user's notes, newest first
+  useEffect(() => {
+    const q = query(collection(db, "users", user.id, "notes"), orderBy("createdAt", "desc"));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setNotes(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+    }, (error) => console.error("Error loading notes:", error));
+    return () => unsubscribe();
+  }, [user.id]);
+
+  // 🔹 Add a note
+  const handleAdd = async () => {
+    if (!text.trim()) return;
+    setSaving(true);
+    try {
+      await auditedWrite(admin, "user.note", [{
+        ref: doc(collection(db, "users", user.id, "notes")),
+        type: "set",
+        label: user.phone || null,
+        changes: { text: text.trim(), createdAt: new Date(), createdBy: admin.email },
+      }]);
+      setText("");
+    } catch (error) {
+      console.error("Error adding note:", error);
+      alert("❌ Failed to add note");
+    }
+    setSaving(false);
+  };
+
+  // 🔹 Delete one of your own notes
+  const handleDelete = async (note) => {
+    if (!window.confirm("Delete this note?")) return;
+    try {
+      await auditedWrite(admin, "user.noteDelete", [{
+        ref: doc(db, "users", user.id, "notes", note.id),
+        type: "delete",
+        label: user.phone || null,
+      }]);
+    } catch (error) {
+      console.error("Error deleting note:", error);
+      alert("❌ Failed to delete note");
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {canEdit && (
+        <div>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows="3"
+            maxLength={2000}
+            disabled={saving}
+            placeholder="Add an internal note (not visible to the user)"
+            className={`w-full px-4 py-2 rounded-lg border text-sm ${darkMode
+              ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+              : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+              }`}
+          />
+          <div className="flex justify-end mt-2">
+            <button
+              onClick={handleAdd}
+              disabled={saving || !text.trim()}
+              className="px-4 py-1.5 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-all shadow-sm"
+            >
+              {saving ? "⏳ Saving..." : "Add note"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {notes.length === 0 && (
+        <p className={`text-sm ${darkMode ? "text-gray-400" : "text-gray-500"}`}>No notes yet.</p>
+      )}
+      {notes.map((note) => (
+        <div key={note.id} className={`p-3 rounded-lg border ${darkMode ? "border-gray-700 bg-gray-700/40" : "border-yellow-200 bg-yellow-50"}`}>
+          <p className={`text-sm whitespace-pre-wrap ${darkMode ? "text-gray-200" : "text-gray-800"}`}>{note.text}</p>
+          <div className="flex items-center justify-between mt-1">
+            <p className={`text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+              {toDate(note.createdAt)?.toLocaleString() || "—"} · {note.createdBy}
+            </p>
+            {canEdit && note.createdBy === admin.email && (
+              <button onClick={() => handleDelete(note)} className="text-xs text-red-500 hover:underline">
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default UserNotes;
@@ -0,0 +1,142 @@
+import React, { useState } from "react";
+import { doc } from "firebase/firestore";
+import { db } from "../firebase";
+import { auditedUpdate, auditedWrite } from "../utils/audit";
+import { TAG_COLORS, getTagClasses, tagDocId } from "../utils/tags";
+
+// Tag chips for one user, with a picker to add existing tags or create new ones
+const UserTags = ({ darkMode, admin, user, tags, canEdit }) => {
+  const [picking, setPicking] = useState(false);
+  const [label, setLabel] = useState("");
+  const [color, setColor] = useState("blue");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const userTags = (user.tags || []).map((id) => tags.find((t) => t.id === id)).filter(Boolean);
+  const availableTags = tags.filter((t) => !(user.tags || []).includes(t.id));
+
+  const saveTags = (update) =>
+    auditedUpdate(admin, "user.tags", doc(db, "users", user.id), (current) => ({
+      tags: update(current.tags || []),
+    }), user.phone || null);
+
+  const run = async (action) => {
+    setError("");
+    setSaving(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error("Error updating tags:", err);
+      setError(err.message);
+    }
+    setSaving(false);
+  };
+
+  const handleAdd = (tagId) => run(() => saveTags((current) => [...new Set([...current, tagId])]));
+
+  const handleRemove = (tagId) => run(() => saveTags((current) => current.filter((id) => id !== tagId)));
+
+  // 🔹 Create a tag and put it on this user
+  const handleCreate = () => {
+    const id = tagDocId(label);
+    if (!id) return;
+    if (tags.some((t) => t.id === id)) {
+      handleAdd(id);
+      setLabel("");
+      return;
+    }
+    run(async () => {
+      await auditedWrite(admin, "tag.create", [{
+        ref: doc(db, "user_tags", id),
+        type: "set",
+        label: label.trim(),
+        changes: { label: label.trim(), color, createdAt: new Date(), createdBy: admin.email },
+      }]);
+      await saveTags((current) => [...new Set([...current, id])]);
+      setLabel("");
+    });
+  };
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap items-center gap-1.5">
+        {userTags.map((tag) => (
+          <span key={tag.id} className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs font-semibold ${getTagClasses(tag.color)}`}>
+            {tag.label}
+            {canEdit && (
+              <button onClick={() => handleRemove(tag.id)} disabled={saving} className="opacity-60 hover:opacity-100" title="Remove tag">
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+        {canEdit && (
+          <button
+            onClick={() => setPicking(!picking)}
+            className={`px-2 py-0.5 rounded-full border border-dashed text-xs font-semibold ${darkMode ? "border-gray-500 text-gray-300" : "border-gray-300 text-gray-600"
+              }`}
+          >
+            {picking ? "Done" : "+ Tag"}
+          </button>
+        )}
+      </div>
+
+      {picking && (
+        <div className={`mt-2 p-3 rounded-lg border ${darkMode ? "bg-gray-700 border-gray-600" : "bg-gray-50 border-gray-200"}`}>
+          {availableTags.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mb-3">
+              {availableTags.map((tag) => (
+                <button
+                  key={tag.id}
+                  onClick={() => handleAdd(tag.id)}
+                  disabled={saving}
+                  className={`px-2 py-0.5 rounded-full border text-xs font-semibold hover:opacity-80 ${getTagClasses(tag.color)}`}
+                >
+                  + {tag.label}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleCreate()}
+              placeholder="New tag"
+              maxLength={40}
+              disabled={saving}
+              className={`flex-1 px-3 py-1.5 rounded-lg border text-sm ${darkMode
+                ? "bg-gray-800 border-gray-600 text-white placeholder-gray-400"
+                : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+                }`}
+            />
+            <select
+              value={color}
+              onChange={(e) => setColor(e.target.value)}
+              disabled={saving}
+              className={`px-2 py-1.5 rounded-lg border text-sm cursor-pointer ${darkMode
+                ? "bg-gray-800 border-gray-600 text-white"
+                : "bg-white border-gray-300 text-gray-900"
+                }`}
+            >
+              {Object.keys(TAG_COLORS).map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleCreate}
+              disabled={saving || !tagDocId(label)}
+              className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              Create
+            </button>
+          </div>
+        </div>
+      )}
+      {error && <p className="text-red-500 text-xs mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default UserTags;
@@ -0,0 +1,156 @@
+import React, { useState } from "react";
+import { formatFileSize } from "../utils/apk";
+import { getForceBelow, legacyCritical } from "../utils/updatePolicy";
+import { isValidDownloadUrl } from "../utils/releases";
+
+const forceModeOf = (version) => {
+  const forceBelow = getForceBelow(version);
+  if (forceBelow === null) return "none";
+  return forceBelow >= version.versionCode ? "all" : "below";
+};
+
+// Inline editor for a published release, shown as a row under it in the
+// version history. Saves only the fields that changed. The URL and size of
+// an uploaded APK are locked: its SHA-256 and storage path describe that
+// file, so replacing it takes a new release.
+const VersionEditRow = ({ darkMode, version, colSpan, saving, onSave, onCancel }) => {
+  const uploaded = !!(version.sha256 || version.storagePath);
+  const [changelog, setChangelog] = useState(version.changelog || "");
+  const [downloadUrl, setDownloadUrl] = useState(version.downloadUrl || "");
+  const [fileSize, setFileSize] = useState(version.fileSize ? String(version.fileSize) : "");
+  const [forceMode, setForceMode] = useState(() => forceModeOf(version));
+  const [forceBelow, setForceBelow] = useState(() => (forceModeOf(version) === "below" ? String(getForceBelow(version)) : ""));
+  const [errors, setErrors] = useState({});
+
+  const handleSave = () => {
+    const newErrors = {};
+    if (!changelog.trim()) newErrors.changelog = "Changelog is required";
+    if (!uploaded && !isValidDownloadUrl(downloadUrl.trim())) newErrors.downloadUrl = "Enter an http(s) URL";
+    if (!uploaded && !(Number.isInteger(Number(fileSize)) && Number(fileSize) > 0)) newErrors.fileSize = "Enter the size in bytes";
+    if (forceMode === "below" && !(parseInt(forceBelow) > 0 && parseInt(forceBelow) <= version.versionCode)) {
+      newErrors.forceBelow = `Enter a version code up to ${version.versionCode}`;
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    const forceBelowCode = { all: version.versionCode, below: parseInt(forceBelow), none: null }[forceMode];
+    const next = {
+      changelog: changelog.trim(),
+      ...(!uploaded && { downloadUrl: downloadUrl.trim(), fileSize: Number(fileSize) }),
+      forceBelowVersionCode: forceBelowCode,
+      isCritical: legacyCritical(version.versionCode, forceBelowCode),
+    };
+    const current = { ...version, forceBelowVersionCode: getForceBelow(version), isCritical: !!version.isCritical };
+    const changes = Object.fromEntries(Object.entries(next).filter(([key, value]) => current[key] !== value));
+    if (Object.keys(changes).length === 0) {
+      onCancel();
+      return;
+    }
+    onSave(changes);
+  };
+
+  const inputClass = (field) => `w-full px-3 py-2 rounded-lg border text-sm ${darkMode
+    ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400"
+    : "bg-white border-gray-300 text-gray-900 placeholder-gray-400"
+    } ${errors[field] ? "border-red-500" : ""}`;
+  const labelClass = `block text-xs font-bold uppercase mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`;
+  const hintClass = `text-xs mt-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`;
+
+  return (
+    <tr className={darkMode ? "bg-gray-900/40" : "bg-blue-50/50"}>
+      <td colSpan={colSpan} className="px-6 py-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="md:row-span-2">
+            <label className={labelClass}>Changelog</label>
+            <textarea
+              value={changelog}
+              onChange={(e) => setChangelog(e.target.value)}
+              disabled={saving}
+              rows="5"
+              className={inputClass("changelog")}
+            />
+            {errors.changelog && <p className="text-red-500 text-xs mt-1">{errors.changelog}</p>}
+          </div>
+          <div>
+            <label className={labelClass}>Download URL</label>
+            <input
+              type="url"
+              value={downloadUrl}
+              onChange={(e) => setDownloadUrl(e.target.value)}
+              disabled={saving || uploaded}
+              className={`${inputClass("downloadUrl")} disabled:opacity-60`}
+            />
+            {errors.downloadUrl ? (
+              <p className="text-red-500 text-xs mt-1">{errors.downloadUrl}</p>
+            ) : uploaded && (
+              <p className={hintClass}>🔒 Uploaded APK: publish a new version to replace the file</p>
+            )}
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>Size (bytes)</label>
+              <input
+                type="number"
+                min="1"
+                value={fileSize}
+                onChange={(e) => setFileSize(e.target.value)}
+                disabled={saving || uploaded}
+                className={`${inputClass("fileSize")} disabled:opacity-60`}
+              />
+              {errors.fileSize
+                ? <p className="text-red-500 text-xs mt-1">{errors.fileSize}</p>
+                : <p className={hintClass}>{formatFileSize(Number(fileSize))}</p>}
+            </div>
+            <div>
+              <label className={labelClass}>🚨 Force update</label>
+              <select
+                value={forceMode}
+                onChange={(e) => setForceMode(e.target.value)}
+                disabled={saving}
+                className={`${inputClass("forceMode")} cursor-pointer`}
+              >
+                <option value="all">Every older version</option>
+                <option value="below">Versions below…</option>
+                <option value="none">Never, only suggest</option>
+              </select>
+              {forceMode === "below" && (
+                <input
+                  type="number"
+                  min="1"
+                  max={version.versionCode}
+                  value={forceBelow}
+                  onChange={(e) => setForceBelow(e.target.value)}
+                  disabled={saving}
+                  placeholder="Version code"
+                  className={`${inputClass("forceBelow")} mt-2`}
+                />
+              )}
+              {errors.forceBelow && <p className="text-red-500 text-xs mt-1">{errors.forceBelow}</p>}
+            </div>
+          </div>
+        </div>
+        <div className="flex justify-end gap-2 mt-4">
+          <button
+            onClick={onCancel}
+            disabled={saving}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${darkMode
+              ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+              : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+              }`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 transition-all shadow-sm"
+          >
+            {saving ? "⏳ Saving..." : "💾 Save changes"}
+          </button>
+        </div>
+      </td>
+    </tr>
+  );
+};
+
+export default VersionEditRow;
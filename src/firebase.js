@@ -21,8 +21,13 @@ const app = initializeApp(firebaseConfig);
 // Firestore
 export const db = getFirestore(app);
 
-// Auth (optional)
+// Auth for admin sign-in
 export const auth = getAuth(app);
 
+// Secondary app used only to create invited admin accounts, so that
+// creating an account does not replace the signed-in owner's session
+const inviteApp = initializeApp(firebaseConfig, "admin-invites");
+export const inviteAuth = getAuth(inviteApp);
+
 // Storage for APK uploads
 export const storage = getStorage(app);
@@ -0,0 +1,80 @@
+// Per-agent performance over a period, built from the users collection.
+// Approvals, activations and renewals are dated by each user's
+// renewalHistory, so accounts approved before history was recorded only
+// count towards registrations and active subscribers. Active subscribers
+// are counted as of the end of the period.
+import { toDate } from "./dates";
+import { agentDocId } from "./agents";
+import { isActiveUser } from "./userStatus";
+
+export const REPORT_COLUMNS = [
+  { key: "registrations", label: "New registrations" },
+  { key: "approvals", label: "Approvals" },
+  { key: "activations", label: "Activations" },
+  { key: "renewals", label: "Renewals" },
+  { key: "active", label: "Active at period end" },
+];
+
+// Entries that (re)start a paid subscription; commission is paid per activation
+const ACTIVATION_TYPES = ["approve", "activate"];
+
+const inPeriod = (value, { from, to }) => {
+  const date = toDate(value);
+  return !!date && date >= from && date <= to;
+};
+
+// Expiry in force at `at`: renewalHistory is appended in order, and the
+// first entry after `at` records the expiry it replaced
+const expiryAt = (user, at) => {
+  const next = (user.renewalHistory || []).find((entry) => toDate(entry.at) > at);
+  return next ? next.previousExpiresAt : user.expiresAt;
+};
+
+// Registered by `at` and approved with an expiry after it. Status has no
+// history, so a user suspended since then no longer counts.
+const wasActiveAt = (user, at) => {
+  const createdAt = toDate(user.createdAt);
+  if (createdAt && createdAt > at) return false;
+  return isActiveUser({ ...user, expiresAt: expiryAt(user, at) }, at);
+};
+
+// Rows of { agentCode, registrations, approvals, activations, renewals,
+// active, commission }, busiest agents first, plus a totals row
+export const buildAgentReport = (users, period, ratePerActivation, now = new Date()) => {
+  const end = period.to < now ? period.to : now;
+  const byAgent = new Map();
+  const rowFor = (code) => {
+    if (!byAgent.has(code)) {
+      byAgent.set(code, { agentCode: code, registrations: 0, approvals: 0, activations: 0, renewals: 0, active: 0 });
+    }
+    return byAgent.get(code);
+  };
+
+  users.forEach((user) => {
+    const row = rowFor(agentDocId(user.agentCode) || "—");
+    if (inPeriod(user.createdAt, period)) row.registrations++;
+    if (wasActiveAt(user, end)) row.active++;
+    (user.renewalHistory || [])
+      .filter((entry) => inPeriod(entry.at, period))
+      .forEach((entry) => {
+        if (entry.type === "approve") row.approvals++;
+        if (ACTIVATION_TYPES.includes(entry.type)) row.activations++;
+        if (entry.type === "extend") row.renewals++;
+      });
+  });
+
+  const rows = [...byAgent.values()]
+    .map((row) => ({ ...row, commission: row.activations * ratePerActivation }))
+    .sort((a, b) => b.activations - a.activations || b.registrations - a.registrations);
+
+  const totals = rows.reduce(
+    (sum, row) => {
+      REPORT_COLUMNS.forEach(({ key }) => (sum[key] += row[key]));
+      sum.commission += row.commission;
+      return sum;
+    },
+    { agentCode: "Total", registrations: 0, approvals: 0, activations: 0, renewals: 0, active: 0, commission: 0 }
+  );
+
+  return { rows, totals };
+};
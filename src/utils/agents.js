@@ -0,0 +1,16 @@
+// Agents live in the `agents` collection, keyed by upper-cased agent code.
+// Users reference them through their free-text `agentCode`.
+
+// Firestore document id for an agent code
+export const agentDocId = (code) => (code || "").trim().toUpperCase();
+
+export const isValidAgentCode = (code) => /^[A-Z0-9_-]{2,32}$/.test(agentDocId(code));
+
+// How a user's agentCode resolves against the agents map ({ [id]: agent }):
+// "none" (no code), "unknown", "disabled" or "ok"
+export const agentStatus = (agents, code) => {
+  if (!code) return "none";
+  const agent = agents[agentDocId(code)];
+  if (!agent) return "unknown";
+  return agent.disabled ? "disabled" : "ok";
+};
@@ -0,0 +1,206 @@
+// APK release files: Storage location and the checksum the app verifies
+// its download against.
+
+export const APK_CONTENT_TYPE = "application/vnd.android.package-archive";
+
+// Storage path for an uploaded APK; the timestamp keeps re-uploads of the same file name apart
+export const apkStoragePath = (fileName, now = new Date()) =>
+  `apks/${now.getTime()}_${fileName.replace(/[^\w.-]+/g, "_")}`;
+
+// Lower-case hex SHA-256 of a file
+export const sha256Hex = async (blob) => {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+};
+
+export const formatFileSize = (bytes) => {
+  if (!bytes) return "0 Bytes";
+  const k = 1024;
+  const sizes = ["Bytes", "KB", "MB", "GB"];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + " " + sizes[i];
+};
+
+// 🔹 Reading the manifest. An APK is a zip; AndroidManifest.xml inside it
+// is compiled to Android's binary XML format.
+
+// Package name releases must carry (VITE_APP_PACKAGE). Required: without it
+// no APK can be uploaded, rather than trusting whatever was published before.
+export const APP_PACKAGE = import.meta.env.VITE_APP_PACKAGE?.trim() || null;
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Raw bytes of one zip entry, inflated if needed
+const readZipEntry = async (blob, entryName) => {
+  // The end-of-central-directory record sits in the last 22 bytes plus up to 64 KB of comment
+  const tailStart = Math.max(0, blob.size - 22 - 0xffff);
+  const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+  let eocd = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a valid APK (zip directory not found)");
+
+  const entryCount = tail.getUint16(eocd + 10, true);
+  const directorySize = tail.getUint32(eocd + 12, true);
+  const directoryOffset = tail.getUint32(eocd + 16, true);
+  const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+  const decoder = new TextDecoder();
+
+  for (let i = 0, pos = 0; i < entryCount; i++) {
+    if (directory.getUint32(pos, true) !== CENTRAL_SIGNATURE) throw new Error("Not a valid APK (corrupt zip directory)");
+    const method = directory.getUint16(pos + 10, true);
+    const compressedSize = directory.getUint32(pos + 20, true);
+    const nameLength = directory.getUint16(pos + 28, true);
+    const extraLength = directory.getUint16(pos + 30, true);
+    const commentLength = directory.getUint16(pos + 32, true);
+    const localOffset = directory.getUint32(pos + 42, true);
+    const name = decoder.decode(new Uint8Array(directory.buffer, pos + 46, nameLength));
+
+    if (name === entryName) {
+      const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+      if (local.getUint32(0, true) !== LOCAL_SIGNATURE) throw new Error("Not a valid APK (corrupt zip entry)");
+      const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+      const data = blob.slice(dataStart, dataStart + compressedSize);
+      if (method === 0) return data.arrayBuffer();
+      if (method === 8) return new Response(data.stream().pipeThrough(new DecompressionStream("deflate-raw"))).arrayBuffer();
+      throw new Error(`Unsupported zip compression method ${method}`);
+    }
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  throw new Error(`${entryName} not found in the APK`);
+};
+
+// Binary XML chunk types
+const STRING_POOL = 0x0001;
+const XML = 0x0003;
+const XML_RESOURCE_MAP = 0x0180;
+const XML_START_ELEMENT = 0x0102;
+
+// android:* attribute resource ids (names may be stripped by shrinkers)
+const ATTR_IDS = {
+  0x0101021b: "versionCode",
+  0x0101021c: "versionName",
+  0x0101020c: "minSdkVersion",
+};
+
+// Typed value data types
+const TYPE_STRING = 0x03;
+const TYPE_INT_DEC = 0x10;
+const TYPE_INT_HEX = 0x11;
+
+const readStringPool = (view, start) => {
+  const headerSize = view.getUint16(start + 2, true);
+  const count = view.getUint32(start + 8, true);
+  const isUtf8 = (view.getUint32(start + 16, true) & 0x100) !== 0;
+  const stringsStart = start + view.getUint32(start + 20, true);
+  const utf8 = new TextDecoder("utf-8");
+  const utf16 = new TextDecoder("utf-16le");
+
+  const strings = [];
+  for (let i = 0; i < count; i++) {
+    let pos = stringsStart + view.getUint32(start + headerSize + i * 4, true);
+    if (isUtf8) {
+      // Character length, then byte length; each one or two bytes
+      pos += view.getUint8(pos) & 0x80 ? 2 : 1;
+      let length = view.getUint8(pos);
+      if (length & 0x80) {
+        length = ((length & 0x7f) << 8) | view.getUint8(pos + 1);
+        pos += 2;
+      } else {
+        pos += 1;
+      }
+      strings.push(utf8.decode(new Uint8Array(view.buffer, pos, length)));
+    } else {
+      let length = view.getUint16(pos, true);
+      if (length & 0x8000) {
+        length = ((length & 0x7fff) << 16) | view.getUint16(pos + 2, true);
+        pos += 4;
+      } else {
+        pos += 2;
+      }
+      strings.push(utf16.decode(new Uint8Array(view.buffer, pos, length * 2)));
+    }
+  }
+  return strings;
+};
+
+// Attributes of the <manifest> and <uses-sdk> elements of a binary AndroidManifest.xml
+const parseManifest = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.getUint16(0, true) !== XML) throw new Error("AndroidManifest.xml is not binary XML");
+
+  let strings = [];
+  let resourceIds = [];
+  const result = {};
+  let pos = view.getUint16(2, true);
+
+  while (pos + 8 <= view.byteLength) {
+    const type = view.getUint16(pos, true);
+    const size = view.getUint32(pos + 4, true);
+    if (size === 0) break;
+
+    if (type === STRING_POOL) {
+      strings = readStringPool(view, pos);
+    } else if (type === XML_RESOURCE_MAP) {
+      const headerSize = view.getUint16(pos + 2, true);
+      resourceIds = [];
+      for (let i = pos + headerSize; i < pos + size; i += 4) resourceIds.push(view.getUint32(i, true));
+    } else if (type === XML_START_ELEMENT) {
+      const ext = pos + view.getUint16(pos + 2, true);
+      const element = strings[view.getUint32(ext + 4, true)];
+      const attributeStart = view.getUint16(ext + 8, true);
+      const attributeSize = view.getUint16(ext + 10, true);
+      const attributeCount = view.getUint16(ext + 12, true);
+
+      if (element === "manifest" || element === "uses-sdk") {
+        for (let i = 0; i < attributeCount; i++) {
+          const attr = ext + attributeStart + i * attributeSize;
+          const nameIndex = view.getUint32(attr + 4, true);
+          const name = ATTR_IDS[resourceIds[nameIndex]] || strings[nameIndex];
+          const rawValue = view.getInt32(attr + 8, true);
+          const dataType = view.getUint8(attr + 15);
+          const data = view.getUint32(attr + 16, true);
+          const value = dataType === TYPE_STRING || rawValue >= 0
+            ? strings[dataType === TYPE_STRING ? data : rawValue]
+            : dataType === TYPE_INT_DEC || dataType === TYPE_INT_HEX ? data : null;
+          result[`${element}:${name}`] = value;
+        }
+      }
+      if (element === "uses-sdk" || element === "application") break;
+    }
+    pos += size;
+  }
+
+  const toNumber = (value) => (value === null || value === undefined || value === "" ? null : Number(value));
+  return {
+    packageName: result["manifest:package"] || null,
+    versionCode: toNumber(result["manifest:versionCode"]),
+    // Null when it's a resource reference (resolving it needs resources.arsc)
+    versionName: typeof result["manifest:versionName"] === "string" ? result["manifest:versionName"] : null,
+    minSdk: toNumber(result["uses-sdk:minSdkVersion"]),
+  };
+};
+
+// { packageName, versionCode, versionName, minSdk } of an APK file
+export const readApkManifest = async (file) => parseManifest(await readZipEntry(file, "AndroidManifest.xml"));
+
+// Reasons an APK can't be published over the existing releases
+export const checkApkManifest = (manifest, { expectedPackage, latestVersionCode }) => {
+  const problems = [];
+  if (!expectedPackage) problems.push("The app's package name isn't configured (VITE_APP_PACKAGE)");
+  if (!manifest.packageName) problems.push("The APK has no package name");
+  else if (expectedPackage && manifest.packageName !== expectedPackage) {
+    problems.push(`Package ${manifest.packageName} is not our app (${expectedPackage})`);
+  }
+  if (!manifest.versionCode) problems.push("The APK has no versionCode");
+  else if (latestVersionCode && manifest.versionCode <= latestVersionCode) {
+    problems.push(`versionCode ${manifest.versionCode} must be higher than the latest release (${latestVersionCode})`);
+  }
+  return problems;
+};
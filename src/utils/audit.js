@@ -0,0 +1,134 @@
+// Admin audit trail. Every dashboard write goes through auditedWrite so the
+// change and its `admin_audit` entry are committed together. The dashboard
+// never edits or deletes entries; the project's Firestore rules have to
+// forbid that too (the rules aren't in this repo, see README).
+import { collection, doc, runTransaction, writeBatch, serverTimestamp } from "firebase/firestore";
+import { db } from "../firebase";
+
+export const AUDIT_ACTIONS = {
+  "user.approve": "Approve user",
+  "user.reject": "Reject user",
+  "user.activate": "Activate user",
+  "user.deactivate": "Deactivate user",
+  "user.expire": "Expire lapsed user",
+  "user.extend": "Extend expiry",
+  "user.expiry": "Set custom expiry",
+  "user.whatsapp": "Toggle WhatsApp",
+  "user.features": "Change features",
+  "user.duplicate": "Block duplicate",
+  "user.migrateStatus": "Migrate user fields",
+  "user.resetDevice": "Reset device",
+  "user.transferDevice": "Transfer device",
+  "user.tags": "Change tags",
+  "user.note": "Add note",
+  "user.noteDelete": "Delete note",
+  "tag.create": "Create tag",
+  "request.approve": "Approve feature request",
+  "request.reject": "Reject feature request",
+  "preapproved.import": "Import pre-approval",
+  "agent.create": "Create agent",
+  "agent.update": "Edit agent",
+  "agent.toggle": "Enable / disable agent",
+  "config.commission": "Change commission rate",
+  "config.updatePolicy": "Change update policy",
+  "release.publish": "Publish release",
+  "release.toggle": "Toggle release",
+  "release.advance": "Advance rollout",
+  "release.pause": "Pause rollout",
+  "release.resume": "Resume rollout",
+  "release.halt": "Halt rollout",
+  "release.edit": "Edit release",
+  "release.delete": "Delete release",
+  "release.restore": "Restore release",
+  "release.rollback": "Roll back release",
+  "admin.invite": "Invite admin",
+  "admin.role": "Change admin role",
+  "admin.remove": "Remove admin",
+};
+
+export const getActionLabel = (action) => AUDIT_ACTIONS[action] || action;
+
+// Previous values of just the fields being written (Firestore rejects undefined)
+const pickFields = (data, keys) =>
+  Object.fromEntries(keys.map((key) => [key, data[key] === undefined ? null : data[key]]));
+
+// The append-only record stored in `admin_audit`
+const auditEntry = (admin, action, ref, label, before, after) => ({
+  action,
+  adminEmail: admin.email,
+  adminRole: admin.role,
+  targetCollection: ref.parent.id,
+  targetId: ref.id,
+  targetLabel: label,
+  before,
+  after,
+  createdAt: serverTimestamp(),
+});
+
+// Write one or more documents and log an audit entry per document.
+// Each write is { ref, changes, label, type } where type is
+// "update" (default), "set" or "delete" and label is a human-readable
+// name for the target (e.g. the user's phone). `changes` may also be a
+// function of the document's current data, for writes that build on it
+// (e.g. appending to a history array).
+export const auditedWrite = (admin, action, writes) =>
+  runTransaction(db, async (tx) => {
+    // Transactions require every read to happen before any write
+    const snapshots = await Promise.all(writes.map((w) => tx.get(w.ref)));
+
+    writes.forEach(({ ref, changes: changesOrFn = null, label = null, type = "update" }, i) => {
+      const current = snapshots[i].exists() ? snapshots[i].data() : null;
+      const changes = typeof changesOrFn === "function" ? changesOrFn(current || {}) : changesOrFn;
+      const before = !current
+        ? null
+        : type === "update"
+          ? pickFields(current, Object.keys(changes))
+          : current;
+
+      if (type === "set") tx.set(ref, changes);
+      else if (type === "delete") tx.delete(ref);
+      else tx.update(ref, changes);
+
+      tx.set(
+        doc(collection(db, "admin_audit")),
+        auditEntry(admin, action, ref, label, before, type === "delete" ? null : changes)
+      );
+    });
+  });
+
+// Bulk variant of auditedWrite: one batched write, no reads. Each write
+// is { ref, current, changes, label, type, action } where `current` is the
+// caller's copy of the document (null for new docs), used for the before
+// values, type is "update" (default) or "set", and `action` overrides the
+// batch's audit action for that write. Every write costs two operations
+// (doc + audit entry) against the 500-op batch limit.
+export const auditedBatch = (admin, action, writes) => {
+  const batch = writeBatch(db);
+  writes.forEach(({ ref, current = null, changes: changesOrFn, label = null, type = "update", action: writeAction = action }) => {
+    const changes = typeof changesOrFn === "function" ? changesOrFn(current || {}) : changesOrFn;
+    if (type === "set") batch.set(ref, changes);
+    else batch.update(ref, changes);
+    batch.set(
+      doc(collection(db, "admin_audit")),
+      auditEntry(admin, writeAction, ref, label, current && pickFields(current, Object.keys(changes)), changes)
+    );
+  });
+  return batch.commit();
+};
+
+// Writes per auditedBatch when chunking bulk updates: each costs two
+// operations (doc + audit entry) of the 500 allowed
+export const BULK_CHUNK_SIZE = 200;
+
+// Shorthand for the common single-document update
+export const auditedUpdate = (admin, action, ref, changes, label = null) =>
+  auditedWrite(admin, action, [{ ref, changes, label }]);
+
+// Render a stored before/after value for display
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined) return "—";
+  if (typeof value?.seconds === "number") return new Date(value.seconds * 1000).toLocaleString();
+  if (value instanceof Date) return value.toLocaleString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
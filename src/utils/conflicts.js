@@ -0,0 +1,81 @@
+// Duplicate registration detection: users that share a deviceId, phone or
+// agentCode. Several registrations from one device or phone is the main
+// abuse pattern we look for. Agent codes are shared by design (one agent,
+// many users), so that grouping is opt-in and only for review: keeping one
+// registration per agent code would block the agent's other users.
+import { collection, query, where, getDocs } from "firebase/firestore";
+import { db } from "../firebase";
+import { agentDocId } from "./agents";
+import { normalizePhone } from "./phone";
+
+export const CONFLICT_FIELDS = [
+  { key: "deviceId", label: "Device", icon: "📲" },
+  { key: "phone", label: "Phone", icon: "📱" },
+  { key: "agentCode", label: "Agent code", icon: "🏷️", optIn: true, reviewOnly: true },
+];
+
+// Fields grouped unless the admin opts in to more
+export const DEFAULT_CONFLICT_FIELDS = CONFLICT_FIELDS.filter((f) => !f.optIn).map((f) => f.key);
+
+export const getConflictField = (key) => CONFLICT_FIELDS.find((f) => f.key === key);
+
+// Value two registrations are compared on; empty values never conflict
+export const conflictValue = (field, user) => {
+  const value = user[field];
+  if (!value) return "";
+  if (field === "phone") return normalizePhone(value);
+  if (field === "agentCode") return agentDocId(value);
+  return String(value).trim();
+};
+
+// Groups of 2+ users sharing a value, largest first
+export const groupConflicts = (users, fields = DEFAULT_CONFLICT_FIELDS) => {
+  const groups = [];
+  fields.forEach((field) => {
+    const byValue = new Map();
+    users.forEach((user) => {
+      const value = conflictValue(field, user);
+      if (!value) return;
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(user);
+    });
+    byValue.forEach((members, value) => {
+      if (members.length > 1) groups.push({ field, value, users: members });
+    });
+  });
+  return groups.sort((a, b) => b.users.length - a.users.length);
+};
+
+// For the users on one table page: how many registrations share a device
+// or phone, as { [userId]: [{ field, count }] } for users with conflicts.
+// Uses "in" queries: device ids match exactly, phones on phoneNormalized
+// and the stored value (users not migrated yet, see ./userMigration).
+export const fetchPageConflicts = async (users) => {
+  const lookups = [
+    ["deviceId", users.map((u) => u.deviceId)],
+    ["phone", users.map((u) => u.phone)],
+    ["phoneNormalized", users.map((u) => normalizePhone(u.phone))],
+  ];
+  const queries = [];
+  lookups.forEach(([field, raw]) => {
+    const values = [...new Set(raw.filter(Boolean))];
+    // "in" queries accept at most 30 values
+    for (let i = 0; i < values.length; i += 30) {
+      queries.push(getDocs(query(collection(db, "users"), where(field, "in", values.slice(i, i + 30)))));
+    }
+  });
+  const snapshots = await Promise.all(queries);
+
+  // De-duplicate across queries, then group like the full scan
+  const matches = new Map();
+  snapshots.forEach((snapshot) => snapshot.docs.forEach((d) => matches.set(d.id, { id: d.id, ...d.data() })));
+  users.forEach((u) => matches.set(u.id, u));
+
+  const conflicts = {};
+  groupConflicts([...matches.values()]).forEach(({ field, users: members }) => {
+    members.forEach((u) => {
+      conflicts[u.id] = [...(conflicts[u.id] || []), { field, count: members.length }];
+    });
+  });
+  return conflicts;
+};
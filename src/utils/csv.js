@@ -0,0 +1,71 @@
+// CSV helpers for exports and imports
+
+// Quote a cell when it contains a delimiter, quote or line break
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows (arrays of cells) to CSV text
+export const toCsv = (rows) => rows.map((row) => row.map(escapeCell).join(",")).join("\r\n");
+
+// Save a Blob through a temporary download link
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Save rows as a UTF-8 CSV file (with BOM so Excel keeps non-ASCII text intact)
+export const downloadCsv = (rows, fileName) =>
+  downloadBlob(new Blob(["\uFEFF", toCsv(rows)], { type: "text/csv;charset=utf-8" }), fileName);
+
+// Parse CSV text into rows of trimmed cells. Handles quoted cells with
+// embedded commas, quotes and line breaks; skips blank lines.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((c) => c !== "")) rows.push(row);
+    row = [];
+  };
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+  return rows;
+};
@@ -0,0 +1,29 @@
+// Date helpers shared by the dashboard views
+
+// Normalise a Firestore Timestamp, Date, or missing value to a Date (or null)
+export const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === "function") return value.toDate();
+  if (typeof value.seconds === "number") return new Date(value.seconds * 1000);
+  return null;
+};
+
+export const formatDate = (value) => {
+  const date = toDate(value);
+  return date
+    ? date.toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })
+    : "N/A";
+};
+
+// Whole days elapsed since the given date
+export const daysSince = (value, now = new Date()) => {
+  const date = toDate(value);
+  return date ? Math.floor((now - date) / (1000 * 60 * 60 * 24)) : null;
+};
+
+// Whole days from now until the given date (negative once it has passed)
+export const daysUntil = (value, now = new Date()) => {
+  const date = toDate(value);
+  return date ? Math.ceil((date - now) / (1000 * 60 * 60 * 24)) : null;
+};
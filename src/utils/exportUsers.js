@@ -0,0 +1,47 @@
+// Column and date-format definitions for exporting the users list
+import { toDate } from "./dates";
+import { getStatusReasonLabel } from "./statusReasons";
+import { getUserStatus } from "./userStatus";
+import { FEATURES, hasFeature } from "./features";
+
+export const DATE_FORMATS = {
+  date: "YYYY-MM-DD",
+  datetime: "YYYY-MM-DD HH:mm",
+  locale: "Local format",
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export const formatExportDate = (value, dateFormat) => {
+  const date = toDate(value);
+  if (!date) return "";
+  if (dateFormat === "locale") return date.toLocaleString();
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return dateFormat === "datetime" ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+};
+
+// `value` receives the user and the chosen date format
+export const EXPORT_COLUMNS = [
+  { key: "phone", label: "Phone", value: (u) => u.phone || "" },
+  { key: "agentCode", label: "Agent Code", value: (u) => u.agentCode || "" },
+  { key: "deviceId", label: "Device ID", value: (u) => u.deviceId || "" },
+  { key: "createdAt", label: "Created At", value: (u, f) => formatExportDate(u.createdAt, f) },
+  { key: "status", label: "Status", value: getUserStatus },
+  { key: "statusReason", label: "Status Reason", value: (u) => [getStatusReasonLabel(u.statusReason), u.statusNote].filter(Boolean).join(": ") },
+  // WhatsApp keeps its legacy key so saved column choices still apply
+  ...FEATURES.map((f) => ({
+    key: f.legacyField || `features.${f.key}`,
+    label: f.label,
+    value: (u) => (hasFeature(u, f.key) ? "yes" : "no"),
+  })),
+  { key: "expiresAt", label: "Expires At", value: (u, f) => formatExportDate(u.expiresAt, f) },
+];
+
+// Header row plus one row per user, for the chosen column keys
+export const buildExportRows = (users, columnKeys, dateFormat) => {
+  const columns = EXPORT_COLUMNS.filter((c) => columnKeys.includes(c.key));
+  return [
+    columns.map((c) => c.label),
+    ...users.map((u) => columns.map((c) => c.value(u, dateFormat))),
+  ];
+};
@@ -0,0 +1,46 @@
+// Features that can be switched on per user. Users carry a `features` map
+// of { [key]: boolean }; keys missing from it fall back to the feature's
+// default. WhatsApp predates the map and is mirrored to `whatsappEnabled`,
+// which the app and the WhatsApp filter still read.
+
+export const FEATURES = [
+  { key: "whatsapp", label: "WhatsApp Business", short: "BWA", icon: "💬", default: false, legacyField: "whatsappEnabled" },
+  { key: "bulkSms", label: "Bulk SMS", short: "SMS", icon: "📨", default: false },
+  { key: "scheduledMessages", label: "Scheduled messages", short: "SCH", icon: "⏰", default: false },
+  { key: "templates", label: "Message templates", short: "TPL", icon: "📝", default: false },
+];
+
+export const getFeature = (key) => FEATURES.find((f) => f.key === key) || null;
+
+export const getFeatureLabel = (key) => getFeature(key)?.label || key;
+
+// Feature asked for by a `feature_requests` doc; requests made before
+// `featureKey` existed were all for WhatsApp
+export const getRequestFeatureKey = (request) => request.featureKey || "whatsapp";
+
+// Whether a user has a feature: the `features` map, then the legacy field, then the default
+export const hasFeature = (user, key) => {
+  const feature = getFeature(key);
+  if (!feature) return false;
+  if (typeof user.features?.[key] === "boolean") return user.features[key];
+  if (feature.legacyField && typeof user[feature.legacyField] === "boolean") return user[feature.legacyField];
+  return feature.default;
+};
+
+// Field changes turning one feature on or off for `current`. The whole map
+// is written so the audit entry records its before / after values.
+export const featureChanges = (current, key, enabled) => {
+  const feature = getFeature(key);
+  if (!feature) throw new Error(`Unknown feature: ${key}`);
+  return {
+    features: { ...(current.features || {}), [key]: enabled },
+    ...(feature.legacyField && { [feature.legacyField]: enabled }),
+  };
+};
+
+// Features whose value differs between two `features` maps (for audit entries)
+export const changedFeatures = (before, after) =>
+  FEATURES.filter((f) => (before?.[f.key] ?? null) !== (after?.[f.key] ?? null)).map((f) => ({
+    ...f,
+    enabled: !!after?.[f.key],
+  }));
@@ -0,0 +1,16 @@
+// Phone number helpers for matching imported lists against registrations
+
+// Drop spaces, dashes, dots and brackets; keep a leading "+"
+export const normalizePhone = (value) => String(value || "").trim().replace(/[\s\-().]/g, "");
+
+// Forms a normalized number may be stored in by users that predate
+// phoneNormalized: with or without the "+" or "00" international prefix.
+// Local numbers (single leading 0) have no prefix to vary.
+export const phoneVariants = (phone) => {
+  if (/^0(?!0)/.test(phone)) return [phone];
+  const digits = phone.replace(/^(\+|00)/, "");
+  return [...new Set([phone, digits, `+${digits}`, `00${digits}`])];
+};
+
+// 9–15 digits, optionally in international "+" form
+export const isValidPhone = (value) => /^\+?\d{9,15}$/.test(normalizePhone(value));
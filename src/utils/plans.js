@@ -0,0 +1,53 @@
+// Subscription plans sold to users. `months` is how far one purchase
+// moves the user's expiresAt.
+import { toDate } from "./dates";
+import { isApproved } from "./userStatus";
+
+export const PLANS = [
+  { id: "monthly", label: "Monthly", months: 1 },
+  { id: "quarterly", label: "Quarterly", months: 3 },
+  { id: "yearly", label: "Yearly", months: 12 },
+];
+
+export const DEFAULT_PLAN_ID = "yearly";
+
+export const getPlan = (id) => PLANS.find((p) => p.id === id) || null;
+
+export const getPlanLabel = (id) => getPlan(id)?.label || "Custom";
+
+export const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Expiry after buying `plan` again. Time left on a still-valid
+// subscription is kept; a lapsed one restarts from today.
+export const extendExpiry = (currentExpiresAt, plan, now = new Date()) => {
+  const current = toDate(currentExpiresAt);
+  const start = current && current > now ? current : now;
+  return addMonths(start, plan.months);
+};
+
+// Entry appended to a user's renewalHistory whenever their expiry changes
+export const renewalEntry = (type, { plan = null, previousExpiresAt = null, expiresAt, by }) => ({
+  type, // approve | activate | extend | custom
+  plan,
+  previousExpiresAt: previousExpiresAt || null,
+  expiresAt,
+  at: new Date(),
+  by,
+});
+
+// Still approved but past expiresAt; the expiry sweep moves these to expired
+export const isLapsed = (user, now = new Date()) => {
+  const expiresAt = toDate(user.expiresAt);
+  return isApproved(user) && !!expiresAt && expiresAt < now;
+};
+
+// Approved user whose subscription ends within the next `days` days
+export const isExpiringWithin = (user, days, now = new Date()) => {
+  const expiresAt = toDate(user.expiresAt);
+  if (!isApproved(user) || !expiresAt || expiresAt < now) return false;
+  return expiresAt - now <= days * 24 * 60 * 60 * 1000;
+};
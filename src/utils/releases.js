@@ -0,0 +1,30 @@
+// Lifecycle of `app_versions` docs after publishing. Deleting is soft: the
+// doc keeps its versionCode (codes are never reused) and gets `deletedAt`;
+// deleted releases are inactive and hidden from the history by default.
+
+export const isDeleted = (version) => !!version.deletedAt;
+
+export const deleteChanges = (admin, now = new Date()) => ({ isActive: false, deletedAt: now, deletedBy: admin.email });
+
+export const restoreChanges = () => ({ deletedAt: null, deletedBy: null });
+
+// Rolling back to `target` deactivates every newer active release and
+// offers the target to all devices again. Returns the releases to turn off.
+export const rollbackDeactivations = (versions, target) =>
+  versions.filter((v) => !isDeleted(v) && v.isActive && v.versionCode > target.versionCode);
+
+export const rollbackTargetChanges = (now = new Date()) => ({
+  isActive: true,
+  rolloutState: "active",
+  rolloutPercent: 100,
+  rolloutUpdatedAt: now,
+});
+
+// Download URLs the app can fetch
+export const isValidDownloadUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,50 @@
+// Admin roles and the dashboard permissions each role grants.
+// Admin accounts live in the `admins` collection, keyed by lowercase email.
+
+export const PERMISSIONS = {
+  REVIEW_USERS: "users.review", // Approve / reject registrations
+  MANAGE_USERS: "users.manage", // Activate / deactivate accounts
+  MANAGE_FEATURES: "features.manage", // Per-user features and feature requests
+  MANAGE_AGENTS: "agents.manage", // Create / edit / disable agents
+  PUBLISH_RELEASES: "releases.publish", // APK versions in UpdateManager
+  MANAGE_ADMINS: "admins.manage", // Invite / remove admins
+};
+
+export const ROLES = {
+  owner: {
+    label: "Owner",
+    description: "Full access, including admin accounts",
+    permissions: Object.values(PERMISSIONS),
+  },
+  reviewer: {
+    label: "Reviewer",
+    description: "Reviews registrations and feature access",
+    permissions: [
+      PERMISSIONS.REVIEW_USERS,
+      PERMISSIONS.MANAGE_USERS,
+      PERMISSIONS.MANAGE_FEATURES,
+      PERMISSIONS.MANAGE_AGENTS,
+    ],
+  },
+  release_manager: {
+    label: "Release Manager",
+    description: "Publishes and manages APK versions",
+    permissions: [PERMISSIONS.PUBLISH_RELEASES],
+  },
+  read_only: {
+    label: "Read Only",
+    description: "Can view everything, change nothing",
+    permissions: [],
+  },
+};
+
+// Firestore document id for an admin email
+export const adminDocId = (email) => (email || "").trim().toLowerCase();
+
+// Check whether an admin record grants a permission
+export const hasPermission = (admin, permission) => {
+  if (!admin || admin.disabled) return false;
+  return ROLES[admin.role]?.permissions.includes(permission) || false;
+};
+
+export const getRoleLabel = (role) => ROLES[role]?.label || "Unknown";
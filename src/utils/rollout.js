@@ -0,0 +1,62 @@
+// Staged rollouts of app versions. Each `app_versions` doc carries a
+// `rolloutPercent` (docs without one are fully rolled out) and a
+// `rolloutState` of active / paused / halted. A device is offered a version
+// when the version is active, its rollout isn't paused or halted, and the
+// device's bucket is below the percentage; the app installs the highest
+// versionCode it is offered, and `isCritical` only forces devices in the
+// cohort.
+//
+// The bucket is FNV-1a (32-bit) over the UTF-8 bytes of the deviceId,
+// modulo 100. The app computes it the same way, so raising the percentage
+// only ever adds devices to the cohort.
+
+export const ROLLOUT_STEPS = [5, 25, 50, 100];
+
+export const ROLLOUT_STATES = {
+  active: { label: "Rolling out", icon: "🚀", badge: "bg-blue-100 text-blue-800" },
+  paused: { label: "Paused", icon: "⏸", badge: "bg-yellow-100 text-yellow-800" },
+  halted: { label: "Halted", icon: "⛔", badge: "bg-red-100 text-red-800" },
+};
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// 0–99 bucket of a device
+export const rolloutBucket = (deviceId) => {
+  let hash = FNV_OFFSET;
+  for (const byte of new TextEncoder().encode(deviceId)) {
+    hash = Math.imul(hash ^ byte, FNV_PRIME) >>> 0;
+  }
+  return hash % 100;
+};
+
+export const getRolloutPercent = (version) =>
+  typeof version.rolloutPercent === "number" ? version.rolloutPercent : 100;
+
+export const getRolloutState = (version) => version.rolloutState || "active";
+
+export const isFullyRolledOut = (version) => getRolloutPercent(version) >= 100;
+
+// Whether a device is offered a version
+export const isInRollout = (version, deviceId) => {
+  if (!version.isActive || getRolloutState(version) !== "active") return false;
+  const percent = getRolloutPercent(version);
+  if (percent >= 100) return true;
+  return !!deviceId && rolloutBucket(deviceId) < percent;
+};
+
+// Next step above the current percentage (null once at 100%)
+export const nextRolloutStep = (version) =>
+  ROLLOUT_STEPS.find((step) => step > getRolloutPercent(version)) ?? null;
+
+// Devices per bucket, so cohort sizes for any percentage come from one scan
+export const bucketHistogram = (deviceIds) => {
+  const histogram = new Array(100).fill(0);
+  deviceIds.forEach((deviceId) => {
+    histogram[rolloutBucket(deviceId)]++;
+  });
+  return histogram;
+};
+
+export const cohortSize = (histogram, percent) =>
+  histogram.slice(0, Math.min(100, percent)).reduce((sum, count) => sum + count, 0);
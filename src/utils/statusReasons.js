@@ -0,0 +1,27 @@
+// Why a user was rejected or deactivated. The reason id is stored on the
+// user doc as `statusReason` (with an optional free-text `statusNote`) so
+// the mobile app can tell the user why they were blocked.
+import { formatDate } from "./dates";
+
+export const STATUS_REASONS = [
+  { id: "invalid_agent_code", label: "Invalid agent code" },
+  { id: "duplicate", label: "Duplicate device" },
+  { id: "non_payment", label: "Non-payment" },
+  { id: "abuse", label: "Abuse" },
+  { id: "other", label: "Other" },
+  // Set by the expiry sweep, not offered in the reason picker
+  { id: "expired", label: "Subscription expired", system: true },
+];
+
+export const SELECTABLE_REASONS = STATUS_REASONS.filter((r) => !r.system);
+
+export const getStatusReasonLabel = (id) => STATUS_REASONS.find((r) => r.id === id)?.label || id || "";
+
+// One-line summary for tooltips, e.g. "Abuse: spam messages (Oct 3, 2026)"
+export const describeStatusReason = (user) => {
+  if (!user.statusReason) return "";
+  const label = getStatusReasonLabel(user.statusReason);
+  const note = user.statusNote ? `: ${user.statusNote}` : "";
+  const date = user.statusChangedAt ? ` (${formatDate(user.statusChangedAt)})` : "";
+  return `${label}${note}${date}`;
+};
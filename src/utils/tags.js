@@ -0,0 +1,22 @@
+// Reusable colour tags for users. Tags live in the `user_tags` collection;
+// users reference them by id in a `tags` array (filterable with
+// array-contains). Internal notes live in the users/{id}/notes subcollection
+// so they never ship with the user doc the app reads.
+
+// Class names are spelled out so Tailwind picks them up
+export const TAG_COLORS = {
+  gray: "bg-gray-100 text-gray-800 border-gray-200",
+  red: "bg-red-100 text-red-800 border-red-200",
+  orange: "bg-orange-100 text-orange-800 border-orange-200",
+  yellow: "bg-yellow-100 text-yellow-800 border-yellow-200",
+  green: "bg-green-100 text-green-800 border-green-200",
+  blue: "bg-blue-100 text-blue-800 border-blue-200",
+  purple: "bg-purple-100 text-purple-800 border-purple-200",
+  pink: "bg-pink-100 text-pink-800 border-pink-200",
+};
+
+export const getTagClasses = (color) => TAG_COLORS[color] || TAG_COLORS.gray;
+
+// Firestore document id for a tag label, e.g. "VIP distributor" -> "vip-distributor"
+export const tagDocId = (label) =>
+  (label || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
@@ -0,0 +1,51 @@
+// When the app forces, suggests or skips an update. The global policy lives
+// in app_config/update_policy: `minSupportedVersionCode` (installs below it
+// must update) and `reminderIntervalHours` (how often a suggested update is
+// shown again; null = every launch). Each release may set
+// `forceBelowVersionCode`: installs below it must update to that release.
+// Releases from before the field fall back to `isCritical`, which forced
+// every older install.
+//
+// On launch the app takes the newer releases it is offered (see
+// utils/rollout) and updates to the highest. The update is forced when the
+// install is below the minimum or below any of those releases'
+// forceBelowVersionCode; otherwise it is suggested.
+
+export const DEFAULT_UPDATE_POLICY = { minSupportedVersionCode: 0, reminderIntervalHours: null };
+
+export const UPDATE_ACTIONS = {
+  force: { label: "Force", icon: "🚨", badge: "bg-red-100 text-red-800" },
+  suggest: { label: "Suggest", icon: "💡", badge: "bg-blue-100 text-blue-800" },
+  none: { label: "Nothing", icon: "✓", badge: "bg-gray-100 text-gray-700" },
+};
+
+export const toUpdatePolicy = (data = {}) => ({
+  minSupportedVersionCode: Number(data.minSupportedVersionCode) || 0,
+  reminderIntervalHours: Number(data.reminderIntervalHours) > 0 ? Number(data.reminderIntervalHours) : null,
+});
+
+// Installs below this versionCode are forced to the release (null = never forced)
+export const getForceBelow = (version) => {
+  if (version.forceBelowVersionCode !== undefined) return version.forceBelowVersionCode;
+  return version.isCritical ? version.versionCode : null;
+};
+
+// `isCritical` to store with a release, for app builds that predate forceBelowVersionCode
+export const legacyCritical = (versionCode, forceBelow) => forceBelow !== null && forceBelow >= versionCode;
+
+// What the app does for an install at `installedCode`, given the releases
+// it is offered: { action: force | suggest | none, target, reason }
+export const updateDecision = (installedCode, offered, policy) => {
+  const newer = offered.filter((v) => v.versionCode > installedCode).sort((a, b) => b.versionCode - a.versionCode);
+  if (newer.length === 0) return { action: "none", target: null, reason: "Latest offered version" };
+
+  const target = newer[0];
+  if (installedCode < policy.minSupportedVersionCode) {
+    return { action: "force", target, reason: `Below minimum supported (${policy.minSupportedVersionCode})` };
+  }
+  const forcing = newer.find((v) => getForceBelow(v) !== null && installedCode < getForceBelow(v));
+  if (forcing) {
+    return { action: "force", target, reason: `v${forcing.versionName} forces below ${getForceBelow(forcing)}` };
+  }
+  return { action: "suggest", target, reason: "Newer version available" };
+};
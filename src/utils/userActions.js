@@ -0,0 +1,89 @@
+// Field changes for each admin action on a user doc. Each builder returns a
+// function of the user's current data, as accepted by auditedWrite /
+// auditedBatch, so row, bulk and import handlers all write the same fields.
+// Status changes go through the lifecycle in ./userStatus and throw on a
+// move it doesn't allow, which aborts the write.
+import { getPlan, addMonths, extendExpiry, renewalEntry } from "./plans";
+import { transitionChanges, isPending } from "./userStatus";
+import { featureChanges } from "./features";
+
+export const buildUserChanges = (admin) => {
+  // Expiry changes with the matching renewal history entry
+  const expiryChanges = (type, current, expiresAt, planId = null) => ({
+    expiresAt,
+    ...(planId && { plan: planId }),
+    renewalHistory: [
+      ...(current.renewalHistory || []),
+      renewalEntry(type, {
+        plan: planId,
+        previousExpiresAt: current.expiresAt,
+        expiresAt,
+        by: admin.email,
+      }),
+    ],
+  });
+
+  // Device binding change with the matching device history entry
+  const deviceChanges = (type, current, deviceId) => ({
+    deviceId,
+    deviceHistory: [
+      ...(current.deviceHistory || []),
+      {
+        type,
+        previousDeviceId: current.deviceId || null,
+        deviceId,
+        at: new Date(),
+        by: admin.email,
+      },
+    ],
+  });
+
+  // Why the account was blocked ({ reason, note }); null clears it on reinstatement
+  const statusChanges = (status) => ({
+    statusReason: status?.reason || null,
+    statusNote: status?.note || null,
+    statusChangedAt: new Date(),
+    statusChangedBy: admin.email,
+  });
+
+  return {
+    approve: (planId) => (current) => ({
+      ...transitionChanges(current, "approved"),
+      ...statusChanges(null),
+      ...expiryChanges("approve", current, addMonths(new Date(), getPlan(planId).months), planId),
+    }),
+    reject: (status) => (current) => ({
+      ...transitionChanges(current, "rejected"),
+      ...statusChanges(status),
+    }),
+    deactivate: (status) => (current) => ({
+      ...transitionChanges(current, "suspended"),
+      ...statusChanges(status),
+    }),
+    // Expiry sweep: lapsed subscription
+    expire: () => (current) => ({
+      ...transitionChanges(current, "expired"),
+      ...statusChanges({ reason: "expired" }),
+    }),
+    // Reinstate a rejected, suspended or expired user
+    activate: (planId) => (current) => ({
+      ...transitionChanges(current, "approved"),
+      ...statusChanges(null),
+      ...expiryChanges("activate", current, addMonths(new Date(), getPlan(planId).months), planId),
+    }),
+    extend: (planId) => (current) =>
+      expiryChanges("extend", current, extendExpiry(current.expiresAt, getPlan(planId)), planId),
+    custom: (expiresAt) => (current) => expiryChanges("custom", current, expiresAt),
+    // Turn one feature from utils/features on or off
+    feature: ({ key, enabled }) => (current) => featureChanges(current, key, enabled),
+    // Clear the binding so the app can register a new device
+    resetDevice: () => (current) => deviceChanges("reset", current, null),
+    transferDevice: (deviceId) => (current) => deviceChanges("transfer", current, deviceId),
+    // Reject (if pending) or suspend a duplicate registration, keeping `keeperId`
+    duplicate: (keeperId) => (current) => ({
+      ...transitionChanges(current, isPending(current) ? "rejected" : "suspended"),
+      ...statusChanges({ reason: "duplicate" }),
+      duplicateOf: keeperId,
+    }),
+  };
+};
@@ -0,0 +1,117 @@
+// Advanced filters for the users table and the URL query string that
+// carries them (with the tab, search and sort) so filtered views can be
+// shared and bookmarked.
+import { toDate } from "./dates";
+
+// Firestore allows 30 disjunctions per query; the agent code "in" filter
+// is multiplied by the two-value "no device" filter
+export const MAX_AGENT_CODES = 15;
+
+export const EMPTY_FILTERS = {
+  createdFrom: "", // YYYY-MM-DD
+  createdTo: "",
+  expiresFrom: "",
+  expiresTo: "",
+  whatsapp: "", // "" | on | off
+  active: "", // "" | yes | no
+  agentCodes: [],
+  noDevice: false,
+  tag: "", // user_tags id
+};
+
+const TABS = ["pending", "approved", "expiring", "suspended", "expired", "rejected"];
+const EXPIRING_WINDOWS = ["7", "14", "30", "expired"];
+
+// Date inputs cover whole days
+export const startOfDay = (value) => (value ? new Date(`${value}T00:00:00`) : null);
+export const endOfDay = (value) => (value ? new Date(`${value}T23:59:59`) : null);
+
+// Agent codes from a comma / space separated list, upper-cased and de-duplicated
+export const splitAgentCodes = (text) =>
+  [...new Set(text.split(/[\s,;]+/).map((c) => c.trim().toUpperCase()).filter(Boolean))];
+
+// The codes a filter can use: codes past MAX_AGENT_CODES are dropped
+export const parseAgentCodes = (text) => splitAgentCodes(text).slice(0, MAX_AGENT_CODES);
+
+export const countActiveFilters = (filters) =>
+  Object.keys(EMPTY_FILTERS).filter((key) =>
+    Array.isArray(filters[key]) ? filters[key].length > 0 : !!filters[key]
+  ).length;
+
+// Client-side equivalent of the server-side filters, for search results
+export const matchesFilters = (user, filters) => {
+  const createdAt = toDate(user.createdAt);
+  const expiresAt = toDate(user.expiresAt);
+  if (filters.createdFrom && !(createdAt >= startOfDay(filters.createdFrom))) return false;
+  if (filters.createdTo && !(createdAt <= endOfDay(filters.createdTo))) return false;
+  if (filters.expiresFrom && !(expiresAt >= startOfDay(filters.expiresFrom))) return false;
+  if (filters.expiresTo && !(expiresAt <= endOfDay(filters.expiresTo))) return false;
+  if (filters.whatsapp && !!user.whatsappEnabled !== (filters.whatsapp === "on")) return false;
+  if (filters.active && !!user.isActive !== (filters.active === "yes")) return false;
+  if (filters.agentCodes.length > 0 && !filters.agentCodes.includes((user.agentCode || "").toUpperCase())) return false;
+  if (filters.noDevice && user.deviceId) return false;
+  if (filters.tag && !(user.tags || []).includes(filters.tag)) return false;
+  return true;
+};
+
+// Short description of the active filters, e.g. for export descriptions
+export const describeFilters = (filters) => {
+  const parts = [];
+  if (filters.createdFrom || filters.createdTo) parts.push(`registered ${filters.createdFrom || "…"} to ${filters.createdTo || "…"}`);
+  if (filters.expiresFrom || filters.expiresTo) parts.push(`expiring ${filters.expiresFrom || "…"} to ${filters.expiresTo || "…"}`);
+  if (filters.whatsapp) parts.push(`WhatsApp ${filters.whatsapp}`);
+  if (filters.active) parts.push(filters.active === "yes" ? "active" : "inactive");
+  if (filters.agentCodes.length > 0) parts.push(`agent ${filters.agentCodes.join(", ")}`);
+  if (filters.noDevice) parts.push("no device ID");
+  if (filters.tag) parts.push(`tagged ${filters.tag}`);
+  return parts.join(", ");
+};
+
+// 🔹 URL query string
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+
+// View state from the current URL; unknown or malformed values fall back to defaults
+export const readUrlState = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const pick = (key, allowed, fallback) => (allowed.includes(params.get(key)) ? params.get(key) : fallback);
+  const date = (key) => (isDate(params.get(key)) ? params.get(key) : "");
+
+  return {
+    filter: pick("tab", TABS, "pending"),
+    expiringWindow: pick("window", EXPIRING_WINDOWS, "7"),
+    search: params.get("q") || "",
+    dateSort: pick("sort", ["desc", "asc"], "desc"),
+    filters: {
+      createdFrom: date("createdFrom"),
+      createdTo: date("createdTo"),
+      expiresFrom: date("expiresFrom"),
+      expiresTo: date("expiresTo"),
+      whatsapp: pick("whatsapp", ["on", "off"], ""),
+      active: pick("active", ["yes", "no"], ""),
+      agentCodes: parseAgentCodes(params.get("agents") || ""),
+      noDevice: params.get("noDevice") === "1",
+      tag: params.get("tag") || "",
+    },
+  };
+};
+
+// Replace the URL query string with the view state, leaving out defaults
+export const writeUrlState = ({ filter, expiringWindow, search, dateSort, filters }) => {
+  const params = new URLSearchParams();
+  if (filter !== "pending") params.set("tab", filter);
+  if (filter === "expiring" && expiringWindow !== "7") params.set("window", expiringWindow);
+  if (search) params.set("q", search);
+  if (dateSort !== "desc") params.set("sort", dateSort);
+  ["createdFrom", "createdTo", "expiresFrom", "expiresTo", "whatsapp", "active", "tag"].forEach((key) => {
+    if (filters[key]) params.set(key, filters[key]);
+  });
+  if (filters.agentCodes.length > 0) params.set("agents", filters.agentCodes.join(","));
+  if (filters.noDevice) params.set("noDevice", "1");
+
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(null, "", url);
+  }
+};
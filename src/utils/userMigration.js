@@ -0,0 +1,68 @@
+// One-time fixes for user docs written before fields the dashboard relies
+// on: `status` (see ./userStatus), `createdAt` and `phoneNormalized`. Lists,
+// export and the expiry sweep order by createdAt, and Firestore leaves docs
+// without the ordered field out of those queries. Phone lookups (the
+// allowlist import) match on phoneNormalized, since the app stores `phone`
+// as typed. Agent codes are typed freely too; counts and filters match them
+// exactly, so they are rewritten in agent id form (see ./agents).
+import { collection, doc, getDocs } from "firebase/firestore";
+import { db } from "../firebase";
+import { auditedBatch, auditedWrite, BULK_CHUNK_SIZE } from "./audit";
+import { agentDocId } from "./agents";
+import { toDate } from "./dates";
+import { migrationRunRef } from "./userQueries";
+import { normalizePhone } from "./phone";
+import { getUserStatus, needsStatusMigration, statusFields } from "./userStatus";
+
+export const needsCreatedAt = (user) => user.createdAt === undefined;
+
+// Earliest date recorded on the doc, or `now` when there is none
+const estimatedCreatedAt = (user, now) => {
+  const dates = [
+    user.statusChangedAt,
+    ...(user.renewalHistory || []).map((entry) => entry.at),
+    ...(user.deviceHistory || []).map((entry) => entry.at),
+  ].map(toDate).filter(Boolean);
+  return dates.length > 0 ? new Date(Math.min(...dates)) : now;
+};
+
+// Also true for docs whose phone changed after it was normalized
+export const needsPhoneNormalized = (user) => user.phoneNormalized !== normalizePhone(user.phone);
+
+export const needsAgentCodeNormalized = (user) => !!user.agentCode && user.agentCode !== agentDocId(user.agentCode);
+
+export const needsMigration = (user) =>
+  needsStatusMigration(user) || needsCreatedAt(user) || needsPhoneNormalized(user) || needsAgentCodeNormalized(user);
+
+// Backfilled registration dates are flagged with `createdAtEstimated`
+export const migrationChanges = (user, now = new Date()) => ({
+  ...(needsStatusMigration(user) && statusFields(getUserStatus(user))),
+  ...(needsCreatedAt(user) && { createdAt: estimatedCreatedAt(user, now), createdAtEstimated: true }),
+  ...(needsPhoneNormalized(user) && { phoneNormalized: normalizePhone(user.phone) }),
+  ...(needsAgentCodeNormalized(user) && { agentCode: agentDocId(user.agentCode) }),
+});
+
+// Read every user, write the missing fields in audited batches and record
+// the run (see userQueries fetchUnnormalizedCount). Returns how many users
+// changed. On demand only: this reads the whole users collection.
+export const runUserMigration = async (admin) => {
+  const startedAt = new Date();
+  const snapshot = await getDocs(collection(db, "users"));
+  const targets = snapshot.docs.map((d) => ({ id: d.id, ...d.data() })).filter(needsMigration);
+  for (let i = 0; i < targets.length; i += BULK_CHUNK_SIZE) {
+    await auditedBatch(admin, "user.migrateStatus", targets.slice(i, i + BULK_CHUNK_SIZE).map((u) => ({
+      ref: doc(db, "users", u.id),
+      current: u,
+      changes: migrationChanges(u),
+      label: u.phone || null,
+    })));
+  }
+  // Registrations after this are expected to carry the new fields
+  await auditedWrite(admin, "user.migrateStatus", [{
+    ref: migrationRunRef(),
+    type: "set",
+    label: "Migration run",
+    changes: { ranAt: startedAt, ranBy: admin.email },
+  }]);
+  return targets.length;
+};
@@ -0,0 +1,188 @@
+// Firestore queries behind the users table. Status tabs, sorting and
+// paging run server-side so the dashboard never reads the whole collection.
+// Tabs filter on the `status` field (see utils/userStatus), except Pending:
+// the app registers users with isApproved / isDeactivated false and no
+// status, and only the pending state has both false.
+import {
+  collection,
+  doc,
+  getDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  getCountFromServer,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { startOfDay, endOfDay } from "./userFilters";
+import { USER_STATUSES } from "./userStatus";
+
+export const PAGE_SIZE = 25;
+
+// Max matches per field when searching by phone / agent code prefix
+export const SEARCH_LIMIT = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const usersRef = () => collection(db, "users");
+
+// Equality filters for a status tab; Expiring lists approved users
+const statusEqualities = (filter) => {
+  if (filter === "pending") return [where("isApproved", "==", false), where("isDeactivated", "==", false)];
+  if (filter === "expiring") return [where("status", "==", "approved")];
+  if (USER_STATUSES[filter]) return [where("status", "==", filter)];
+  return [];
+};
+
+// Expiry range for the Expiring tab: a look-ahead window in days, or "expired"
+const expiryRange = (expiringWindow, now = new Date()) =>
+  expiringWindow === "expired"
+    ? [where("expiresAt", "<", now)]
+    : [
+      where("expiresAt", ">=", now),
+      where("expiresAt", "<=", new Date(now.getTime() + Number(expiringWindow) * DAY_MS)),
+    ];
+
+// Advanced filters (see utils/userFilters). "No device ID" matches docs
+// whose deviceId is null or empty; docs missing the field can't be queried.
+const advancedConstraints = (filters) => {
+  if (!filters) return [];
+  const constraints = [];
+  if (filters.createdFrom) constraints.push(where("createdAt", ">=", startOfDay(filters.createdFrom)));
+  if (filters.createdTo) constraints.push(where("createdAt", "<=", endOfDay(filters.createdTo)));
+  if (filters.expiresFrom) constraints.push(where("expiresAt", ">=", startOfDay(filters.expiresFrom)));
+  if (filters.expiresTo) constraints.push(where("expiresAt", "<=", endOfDay(filters.expiresTo)));
+  if (filters.whatsapp) constraints.push(where("whatsappEnabled", "==", filters.whatsapp === "on"));
+  if (filters.active) constraints.push(where("isActive", "==", filters.active === "yes"));
+  if (filters.agentCodes.length > 0) constraints.push(where("agentCode", "in", filters.agentCodes));
+  if (filters.noDevice) constraints.push(where("deviceId", "in", [null, ""]));
+  if (filters.tag) constraints.push(where("tags", "array-contains", filters.tag));
+  return constraints;
+};
+
+// All filters for a tab
+const statusConstraints = (filter, expiringWindow, filters) => [
+  ...statusEqualities(filter),
+  ...(filter === "expiring" ? expiryRange(expiringWindow) : []),
+  ...advancedConstraints(filters),
+];
+
+// Every user in a tab, in table order (used by export and the expiry sweep)
+export const usersTabQuery = ({ filter, expiringWindow, dateSort = "desc", filters }) =>
+  query(
+    usersRef(),
+    ...statusConstraints(filter, expiringWindow, filters),
+    // Expiring users are listed soonest-first; other tabs by registration date
+    filter === "expiring" ? orderBy("expiresAt", "asc") : orderBy("createdAt", dateSort)
+  );
+
+// One page of the users table. Fetches one extra doc to tell whether a
+// next page exists; `cursor` is the last doc of the previous page.
+export const usersPageQuery = ({ cursor, ...tab }) =>
+  query(
+    usersTabQuery(tab),
+    ...(cursor ? [startAfter(cursor)] : []),
+    limit(PAGE_SIZE + 1)
+  );
+
+// A chunk of `size` users of a tab after `cursor`, for bulk actions that
+// walk the whole tab
+export const usersChunkQuery = ({ cursor, size, ...tab }) =>
+  query(
+    usersTabQuery(tab),
+    ...(cursor ? [startAfter(cursor)] : []),
+    limit(size)
+  );
+
+// Prefix-search queries on phone and agentCode within a tab. Agent codes
+// are also tried upper-cased since they are usually entered that way.
+// Advanced filters are applied to the results client-side (matchesFilters).
+export const userSearchQueries = ({ filter, term }) => {
+  const searches = [
+    ["phone", term],
+    ["agentCode", term],
+    ...(term.toUpperCase() !== term ? [["agentCode", term.toUpperCase()]] : []),
+  ];
+  return searches.map(([field, value]) =>
+    query(
+      usersRef(),
+      ...statusEqualities(filter),
+      where(field, ">=", value),
+      where(field, "<=", `${value}\uf8ff`),
+      orderBy(field),
+      limit(SEARCH_LIMIT)
+    )
+  );
+};
+
+const countOf = async (constraints) =>
+  (await getCountFromServer(query(usersRef(), ...constraints))).data().count;
+
+// Approved and not past expiry (utils/userStatus isActiveUser)
+const activeConstraints = (now = new Date()) => [...statusEqualities("approved"), where("expiresAt", ">=", now)];
+
+// Every active subscriber (reads the whole set; used for rollout cohorts)
+export const activeUsersQuery = () => query(usersRef(), ...activeConstraints());
+
+// When "Migrate users" last ran: { ranAt, ranBy }
+export const migrationRunRef = () => doc(db, "app_config", "user_migration");
+
+// Users without phoneNormalized (see utils/userMigration) that the last
+// migration run should have covered, i.e. registered before it. The app
+// writes phoneNormalized on later registrations; before any run, every
+// user counts. Phone lookups can miss these when stored in another format.
+export const fetchUnnormalizedCount = async () => {
+  const run = await getDoc(migrationRunRef());
+  const ranAt = run.exists() ? run.data().ranAt : null;
+  const scope = ranAt ? [where("createdAt", "<=", ranAt), orderBy("createdAt")] : [];
+  const [total, normalized] = await Promise.all([countOf(scope), countOf([...scope, orderBy("phoneNormalized")])]);
+  return total - normalized;
+};
+
+// Stats cards, from aggregate count queries: one per status plus active
+// subscribers. Docs that predate `status` (other than pending ones) are in
+// the total but no status count until migrated. `undated` counts docs
+// without createdAt, which ordering by it leaves out of every tab, and
+// `unnormalized` is fetchUnnormalizedCount.
+export const fetchUserStats = async () => {
+  const statuses = Object.keys(USER_STATUSES);
+  const [total, dated, unnormalized, active, ...counts] = await Promise.all([
+    countOf([]),
+    countOf([orderBy("createdAt")]),
+    fetchUnnormalizedCount(),
+    countOf(activeConstraints()),
+    ...statuses.map((status) => countOf(statusEqualities(status))),
+  ]);
+  return {
+    total,
+    undated: total - dated,
+    unnormalized,
+    active,
+    ...Object.fromEntries(statuses.map((status, i) => [status, counts[i]])),
+  };
+};
+
+// Pending / approved / active registrations for one agent code. Exact match:
+// codes stored in another case or with spaces count once normalized (see
+// utils/userMigration)
+export const fetchAgentUserCounts = async (agentCode) => {
+  const byAgent = where("agentCode", "==", agentCode);
+  const [pending, approved, active] = await Promise.all([
+    countOf([byAgent, ...statusEqualities("pending")]),
+    countOf([byAgent, ...statusEqualities("approved")]),
+    countOf([byAgent, ...activeConstraints()]),
+  ]);
+  return { pending, approved, active };
+};
+
+// Rows matching a tab and its advanced filters, for the table footer
+export const fetchTabCount = (tab) =>
+  countOf(statusConstraints(tab.filter, tab.expiringWindow, tab.filters));
+
+// Counts for each Expiring tab bucket
+export const fetchExpiringCounts = async (windows) => {
+  const keys = [...windows.map(String), "expired"];
+  const counts = await Promise.all(keys.map((key) => countOf(statusConstraints("expiring", key))));
+  return Object.fromEntries(keys.map((key, i) => [key, counts[i]]));
+};
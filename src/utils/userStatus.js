@@ -0,0 +1,94 @@
+// The lifecycle of a user account. Every user doc carries an explicit
+// `status`; the legacy isApproved / isActive / isDeactivated booleans are
+// still written alongside it (the app reads them) but the dashboard never
+// derives anything from them except for docs that predate `status`.
+import { toDate } from "./dates";
+
+export const USER_STATUSES = {
+  pending: {
+    label: "Pending",
+    icon: "⏳",
+    badge: "bg-yellow-100 text-yellow-800 border-yellow-200",
+    flags: { isApproved: false, isActive: false, isDeactivated: false },
+  },
+  approved: {
+    label: "Approved",
+    icon: "✓",
+    badge: "bg-green-100 text-green-800 border-green-200",
+    flags: { isApproved: true, isActive: true, isDeactivated: false },
+  },
+  rejected: {
+    label: "Rejected",
+    icon: "✗",
+    badge: "bg-red-100 text-red-800 border-red-200",
+    flags: { isApproved: false, isActive: false, isDeactivated: true },
+  },
+  suspended: {
+    label: "Suspended",
+    icon: "⏸",
+    badge: "bg-orange-100 text-orange-800 border-orange-200",
+    flags: { isApproved: true, isActive: false, isDeactivated: true },
+  },
+  expired: {
+    label: "Expired",
+    icon: "⌛",
+    badge: "bg-gray-200 text-gray-700 border-gray-300",
+    flags: { isApproved: true, isActive: false, isDeactivated: true },
+  },
+};
+
+// Statuses that lock the user out of the app
+export const BLOCKED_STATUSES = ["rejected", "suspended", "expired"];
+
+// Allowed moves between statuses
+const TRANSITIONS = {
+  pending: ["approved", "rejected"],
+  approved: ["suspended", "expired"],
+  rejected: ["approved"],
+  suspended: ["approved"],
+  expired: ["approved"],
+};
+
+// Status of a user doc; docs written before `status` existed are read
+// from their legacy booleans
+export const getUserStatus = (user) => {
+  if (USER_STATUSES[user.status]) return user.status;
+  if (!user.isDeactivated) return user.isApproved ? "approved" : "pending";
+  if (user.statusReason === "expired") return "expired";
+  return user.isApproved ? "suspended" : "rejected";
+};
+
+export const getStatusLabel = (status) => USER_STATUSES[status]?.label || status;
+
+export const isPending = (user) => getUserStatus(user) === "pending";
+
+export const isApproved = (user) => getUserStatus(user) === "approved";
+
+// Not (yet) blocked: pending or approved
+export const isLive = (user) => !BLOCKED_STATUSES.includes(getUserStatus(user));
+
+// Approved and within the paid period
+export const isActiveUser = (user, now = new Date()) => {
+  const expiresAt = toDate(user.expiresAt);
+  return isApproved(user) && !!expiresAt && expiresAt >= now;
+};
+
+export const canTransition = (user, to) => TRANSITIONS[getUserStatus(user)].includes(to);
+
+// The status field with its matching legacy booleans
+export const statusFields = (status) => ({ status, ...USER_STATUSES[status].flags });
+
+// Fields for moving `current` to `to`; throws on a move the lifecycle doesn't allow
+export const transitionChanges = (current, to) => {
+  const from = getUserStatus(current);
+  if (!TRANSITIONS[from].includes(to)) {
+    throw new Error(`Cannot change a ${getStatusLabel(from).toLowerCase()} user to ${getStatusLabel(to).toLowerCase()}`);
+  }
+  return statusFields(to);
+};
+
+// Docs whose stored status or legacy booleans disagree with their status
+export const needsStatusMigration = (user) => {
+  const expected = statusFields(getUserStatus(user));
+  return Object.keys(expected).some((key) => user[key] !== expected[key]);
+};
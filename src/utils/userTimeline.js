@@ -0,0 +1,87 @@
+// Chronological account history for the user drawer, merged from the user
+// doc (registration, renewalHistory, deviceHistory), the user's feature
+// requests and the audit entries that target the user.
+import { toDate, formatDate } from "./dates";
+import { getPlanLabel } from "./plans";
+import { getStatusReasonLabel } from "./statusReasons";
+import { USER_STATUSES, getUserStatus, isLive } from "./userStatus";
+import { changedFeatures, getFeatureLabel, getRequestFeatureKey } from "./features";
+
+const RENEWAL_TITLES = {
+  approve: "Approved",
+  activate: "Activated",
+  extend: "Subscription extended",
+  custom: "Expiry date set",
+};
+
+// Audit actions with no history array on the user doc
+const STATUS_ACTIONS = {
+  "user.reject": "Rejected",
+  "user.deactivate": "Suspended",
+  "user.expire": "Expired",
+  "user.duplicate": "Blocked as duplicate",
+};
+
+const reasonDetail = (values) =>
+  [getStatusReasonLabel(values?.statusReason), values?.statusNote].filter(Boolean).join(": ");
+
+// Events of { at: Date, icon, title, detail, by }, oldest first
+export const buildUserTimeline = (user, requests = [], auditEntries = []) => {
+  const events = [];
+  const add = (at, event) => {
+    const date = toDate(at);
+    if (date) events.push({ at: date, detail: "", by: null, ...event });
+  };
+
+  add(user.createdAt, {
+    icon: "📝",
+    title: "Registered",
+    detail: `Agent ${user.agentCode || "N/A"}${user.createdAtEstimated ? " · date estimated" : ""}`,
+  });
+
+  (user.renewalHistory || []).forEach((entry) =>
+    add(entry.at, {
+      icon: entry.type === "extend" ? "⏩" : entry.type === "custom" ? "📅" : "✓",
+      title: RENEWAL_TITLES[entry.type] || entry.type,
+      detail: `${entry.plan ? `${getPlanLabel(entry.plan)} · ` : ""}expires ${formatDate(entry.expiresAt)}`,
+      by: entry.by,
+    })
+  );
+
+  (user.deviceHistory || []).forEach((entry) =>
+    add(entry.at, {
+      icon: "📲",
+      title: entry.type === "reset" ? "Device reset" : "Device transferred",
+      detail: `${entry.previousDeviceId || "(none)"} → ${entry.deviceId || "(none)"}`,
+      by: entry.by,
+    })
+  );
+
+  let hasStatusEntries = false;
+  auditEntries.forEach((entry) => {
+    if (STATUS_ACTIONS[entry.action]) {
+      hasStatusEntries = true;
+      add(entry.createdAt, { icon: "✗", title: STATUS_ACTIONS[entry.action], detail: reasonDetail(entry.after), by: entry.adminEmail });
+    } else if (entry.action === "user.whatsapp") {
+      add(entry.createdAt, { icon: "💬", title: `WhatsApp ${entry.after?.whatsappEnabled ? "enabled" : "disabled"}`, by: entry.adminEmail });
+    } else if (entry.action === "user.features") {
+      changedFeatures(entry.before?.features, entry.after?.features).forEach((feature) =>
+        add(entry.createdAt, { icon: feature.icon, title: `${feature.label} ${feature.enabled ? "enabled" : "disabled"}`, by: entry.adminEmail })
+      );
+    }
+  });
+
+  // Blocked before the audit trail existed: only the doc's last status is known
+  if (!hasStatusEntries && !isLive(user) && user.statusChangedAt) {
+    add(user.statusChangedAt, { icon: "✗", title: USER_STATUSES[getUserStatus(user)].label, detail: reasonDetail(user), by: user.statusChangedBy });
+  }
+
+  requests.forEach((request) => {
+    const feature = getFeatureLabel(getRequestFeatureKey(request));
+    add(request.requestedAt, { icon: "📧", title: `Requested ${feature}` });
+    if (request.status === "approved") add(request.approvedAt, { icon: "✓", title: `${feature} request approved`, by: request.approvedBy });
+    if (request.status === "rejected") add(request.rejectedAt, { icon: "✗", title: `${feature} request rejected`, by: request.rejectedBy });
+  });
+
+  return events.sort((a, b) => a.at - b.at);
+};